@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * Convert bank statement text exports to JSON, CSV or NDJSON without the browser
+ *
+ * Uses the same parsing (parseTSV), description cleaning and auto-label rules
+ * as the app. Inputs are .tsv/.txt files or directories of them.
+ *
+ *   npm run convert -- statements/ --rules auto-label-rules.json --format csv -o all.csv
+ *   node scripts/convert-statements.js jan.tsv feb.tsv --out-dir converted --format ndjson
+ */
+import { readFileSync, writeFileSync, readdirSync, statSync, mkdirSync } from 'node:fs';
+import { join, extname, basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { parseTSV } from '../src/utils/tsvParser.js';
+import { decodeText } from '../src/utils/textEncoding.js';
+import { applyAutoLabelRules, readAutoLabelRules } from '../src/utils/autoLabel.js';
+
+const TEXT_EXTENSIONS = ['.tsv', '.txt'];
+const OUTPUT_FORMATS = ['json', 'csv', 'ndjson'];
+
+const CSV_COLUMNS = [
+  'id', 'date', 'valueDate', 'description', 'rawDescription', 'reference',
+  'debit', 'credit', 'balance', 'amount', 'type', 'category', 'subcategory',
+  'channel', 'upiPayee', 'upiVpa', 'sourceFile'
+];
+
+const USAGE = `Usage: convert-statements <file or directory>... [options]
+
+Options:
+  -f, --format <json|csv|ndjson>  Output format (default: json)
+  -o, --output <file>             Write all transactions to one file (default: stdout)
+  -d, --out-dir <dir>             Write one output file per statement instead
+  -r, --rules <file>              Auto-label rules JSON (as exported from the app)
+  -e, --encoding <name>           Text encoding (default: detected per file)
+      --keep-duplicates           Keep transactions repeated across overlapping statements
+  -h, --help                      Show this help
+
+Rows without a readable date are left out. Every skipped or flagged row is
+listed on stderr, and the exit status is 2 when there were any (1 when a file
+could not be parsed at all).`;
+
+/**
+ * Expand the input arguments into statement file paths (directories are not recursed)
+ */
+function collectFiles(inputs) {
+  return inputs.flatMap(input => {
+    if (!statSync(input).isDirectory()) return [input];
+    return readdirSync(input)
+      .filter(name => TEXT_EXTENSIONS.includes(extname(name).toLowerCase()))
+      .sort()
+      .map(name => join(input, name));
+  });
+}
+
+/**
+ * Parse one statement file, returning its transactions tagged with the source file
+ * and the number of rows skipped or flagged (null when the file cannot be parsed;
+ * the reasons are reported on stderr)
+ */
+function convertFile(path, { encoding, rules }) {
+  let result;
+  try {
+    result = parseTSV(decodeText(readFileSync(path), encoding).text);
+  } catch (err) {
+    process.stderr.write(`${path}: ${err.message}\n`);
+    return null;
+  }
+
+  // Like the app's import review, rows whose date could not be read are not committed
+  const dated = result.transactions.filter(t => t.date);
+  const { issues } = result.report;
+  issues.forEach(issue => {
+    const skipped = issue.level === 'error' || issue.reason === 'date unparsable';
+    process.stderr.write(`${path}:${issue.line}: ${issue.level}: ${issue.reason}${skipped ? ' (row skipped)' : ''}\n`);
+  });
+
+  const errors = issues.filter(issue => issue.level === 'error').length;
+  const warnings = issues.length - errors;
+  const skipped = errors + result.transactions.length - dated.length;
+  process.stderr.write(`${path}: ${dated.length} transactions (${result.format.name})` +
+    `${skipped > 0 ? `, ${skipped} rows skipped` : ''}` +
+    `${warnings > 0 ? `, ${warnings} warnings` : ''}\n`);
+
+  const transactions = rules ? applyAutoLabelRules(dated, rules).updated : dated;
+  return {
+    transactions: transactions.map(t => ({ ...t, sourceFile: basename(path) })),
+    issueCount: issues.length
+  };
+}
+
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize transactions in the chosen output format
+ */
+function serialize(transactions, format) {
+  if (format === 'ndjson') {
+    return transactions.map(t => JSON.stringify(t)).join('\n') + '\n';
+  }
+
+  if (format === 'csv') {
+    const rows = transactions.map(t => CSV_COLUMNS.map(column => {
+      if (column === 'upiPayee') return csvValue(t.upi?.payee);
+      if (column === 'upiVpa') return csvValue(t.upi?.vpa);
+      return csvValue(t[column]);
+    }).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  return JSON.stringify(transactions, null, 2) + '\n';
+}
+
+/**
+ * Drop transactions whose ID was already seen (overlapping statements), like the app's import
+ */
+function dedupe(transactions) {
+  const seen = new Set();
+  return transactions.filter(t => {
+    if (seen.has(t.id)) return false;
+    seen.add(t.id);
+    return true;
+  });
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', short: 'f', default: 'json' },
+      output: { type: 'string', short: 'o' },
+      'out-dir': { type: 'string', short: 'd' },
+      rules: { type: 'string', short: 'r' },
+      encoding: { type: 'string', short: 'e', default: 'auto' },
+      'keep-duplicates': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    process.exit(values.help ? 0 : 1);
+  }
+  if (!OUTPUT_FORMATS.includes(values.format)) {
+    throw new Error(`Unknown format "${values.format}", expected one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  const rules = values.rules ? readAutoLabelRules(JSON.parse(readFileSync(values.rules, 'utf8'))) : null;
+  const files = collectFiles(positionals);
+  if (files.length === 0) {
+    throw new Error('No .tsv or .txt statements found');
+  }
+
+  const converted = files.map(path => convertFile(path, { encoding: values.encoding, rules }));
+
+  if (values['out-dir']) {
+    mkdirSync(values['out-dir'], { recursive: true });
+    converted.forEach((file, index) => {
+      if (!file) return;
+      const path = files[index];
+      const target = join(values['out-dir'], `${basename(path, extname(path))}.${values.format}`);
+      writeFileSync(target, serialize(file.transactions, values.format));
+    });
+    return exitCode(converted);
+  }
+
+  const all = converted.filter(Boolean).flatMap(file => file.transactions);
+  const transactions = values['keep-duplicates'] ? all : dedupe(all);
+  if (transactions.length < all.length) {
+    process.stderr.write(`Skipped ${all.length - transactions.length} duplicate transactions\n`);
+  }
+
+  const output = serialize(transactions, values.format);
+  if (values.output) {
+    writeFileSync(values.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+  return exitCode(converted);
+}
+
+/**
+ * 1 when a file failed to parse, 2 when rows were skipped or flagged, else 0
+ */
+function exitCode(converted) {
+  if (!converted.every(Boolean)) return 1;
+  return converted.some(file => file.issueCount > 0) ? 2 : 0;
+}
+
+// Failed files and problem rows are skipped, but make the exit code non-zero
+try {
+  process.exitCode = main();
+} catch (err) {
+  process.stderr.write(`Error: ${err.message}\n`);
+  process.exit(1);
+}
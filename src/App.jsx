@@ -1,48 +1,198 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import FileUpload from './components/FileUpload';
+import ImportHistory from './components/ImportHistory';
+import DataHealth from './components/DataHealth';
 import TransactionList from './components/TransactionList';
 import CategoryManager from './components/CategoryManager';
 import Analytics from './components/Analytics';
+import AuditLog from './components/AuditLog';
+import AccountSwitcher from './components/AccountSwitcher';
+import AccountManager from './components/AccountManager';
 import Logo from './components/Logo';
 import BackgroundEffects from './components/BackgroundEffects';
+import ExportMenu from './components/ExportMenu';
+import PassphrasePrompt from './components/PassphrasePrompt';
+import SecuritySettings from './components/SecuritySettings';
+import BackupImportDialog from './components/BackupImportDialog';
 import { storageService } from './services/storageService';
+import { parseBackup } from './services/schema';
+import { isEncryptedBackup } from './utils/encryption';
+import { getAccountLabel } from './utils/accounts';
+import { markTransferPairs } from './utils/transfers';
+import { writeQIF } from './utils/qifParser';
+import { writeOFX } from './utils/ofxParser';
 import './App.css';
 
 function App() {
   const [transactions, setTransactions] = useState([]);
   const [categories, setCategories] = useState([]);
   const [autoLabelRules, setAutoLabelRules] = useState([]);
+  const [mappingTemplates, setMappingTemplates] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [statements, setStatements] = useState([]);
+  const [cleaningRules, setCleaningRules] = useState([]);
   const [activeTab, setActiveTab] = useState('transactions');
   const [notification, setNotification] = useState(null);
   const [transactionFilter, setTransactionFilter] = useState(null);
+  const [storageError, setStorageError] = useState(null);
+  const [locked, setLocked] = useState(() => storageService.isLocked());
+  const [encrypted, setEncrypted] = useState(() => storageService.isEncrypted());
+  const [autoLockMinutes, setAutoLockMinutes] = useState(() => storageService.getAutoLockMinutes());
+  const [showSecurity, setShowSecurity] = useState(false);
+  const [encryptedBackup, setEncryptedBackup] = useState(null); // backup file waiting for its passphrase
+  const [pendingBackup, setPendingBackup] = useState(null); // { backup, plan } waiting for replace or merge
+  const [history, setHistory] = useState(() => storageService.getHistoryState());
+  const [auditLog, setAuditLog] = useState([]);
+  const [selectedAccountId, setSelectedAccountId] = useState('all'); // account id, 'all' or 'none'
+  const [showAccounts, setShowAccounts] = useState(false);
 
-  // Load data on mount
-  useEffect(() => {
+  // Transfers between the user's own accounts are paired across all of them,
+  // then the list and analytics show the selected account
+  const pairedTransactions = useMemo(() => markTransferPairs(transactions, accounts), [transactions, accounts]);
+  const accountView = selectedAccountId === 'none' || accounts.some(a => a.id === selectedAccountId)
+    ? selectedAccountId
+    : 'all';
+  const visibleTransactions = useMemo(() => accountView === 'all'
+    ? pairedTransactions
+    : pairedTransactions.filter(t => (t.accountId || 'none') === accountView), [pairedTransactions, accountView]);
+
+  // Copy everything from storage into state
+  const refreshData = useCallback(() => {
     const loadedTransactions = storageService.getTransactions();
-    const loadedCategories = storageService.getCategories();
-    const loadedRules = storageService.getAutoLabelRules();
     setTransactions(loadedTransactions);
-    setCategories(loadedCategories);
-    setAutoLabelRules(loadedRules);
-    
+    setCategories(storageService.getCategories());
+    setAutoLabelRules(storageService.getAutoLabelRules());
+    setMappingTemplates(storageService.getMappingTemplates());
+    setAccounts(storageService.getAccounts());
+    setStatements(storageService.getStatements());
+    setCleaningRules(storageService.getCleaningRules());
+    setAuditLog(storageService.getAuditLog());
+    return loadedTransactions;
+  }, []);
+
+  // Load everything from storage into state
+  const loadData = useCallback(() => {
     // If no transactions, start on upload page
-    if (loadedTransactions.length === 0) {
+    if (refreshData().length === 0) {
       setActiveTab('upload');
     }
+  }, [refreshData]);
+
+  // Load data on mount (encrypted data waits for the passphrase)
+  useEffect(() => {
+    if (!storageService.isLocked()) loadData();
+  }, [loadData]);
+
+  // Failed saves (such as a full browser storage quota) stay on screen until dismissed
+  useEffect(() => storageService.onError(setStorageError), []);
+
+  // Keep the undo/redo buttons in step with the storage history
+  useEffect(() => storageService.onHistoryChange(setHistory), []);
+
+  // Every transaction change (from any handler, undo or redo) adds audit records
+  useEffect(() => storageService.onAuditLogChange(() => setAuditLog(storageService.getAuditLog())), []);
+
+  const handleUnlock = useCallback(async (passphrase) => {
+    await storageService.unlock(passphrase);
+    loadData();
+    setLocked(false);
+  }, [loadData]);
+
+  // Drop the decrypted data from memory and state until the passphrase is entered again
+  const handleLock = useCallback(async () => {
+    await storageService.lock();
+    setTransactions([]);
+    setAccounts([]);
+    setStatements([]);
+    setAutoLabelRules([]);
+    setMappingTemplates([]);
+    setAuditLog([]);
+    setTransactionFilter(null);
+    setShowSecurity(false);
+    setEncryptedBackup(null);
+    setPendingBackup(null);
+    setLocked(true);
   }, []);
 
+  // Auto-lock after the chosen time without mouse, keyboard or touch activity
+  useEffect(() => {
+    if (!encrypted || locked) return;
+
+    let lastActivity = Date.now();
+    const markActive = () => {
+      lastActivity = Date.now();
+    };
+    const events = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+    events.forEach(event => window.addEventListener(event, markActive, { passive: true }));
+    const timer = setInterval(() => {
+      if (Date.now() - lastActivity >= autoLockMinutes * 60 * 1000) handleLock();
+    }, 15 * 1000);
+
+    return () => {
+      events.forEach(event => window.removeEventListener(event, markActive));
+      clearInterval(timer);
+    };
+  }, [encrypted, locked, autoLockMinutes, handleLock]);
+
   // Show notification
   const showNotification = useCallback((message, type = 'success') => {
     setNotification({ message, type });
     setTimeout(() => setNotification(null), 3000);
   }, []);
 
+  // Undo or redo the latest data change, then reload state from storage
+  const handleUndo = useCallback(() => {
+    const label = storageService.undo();
+    if (!label) return;
+    refreshData();
+    showNotification(`Undone: ${label}`);
+  }, [refreshData, showNotification]);
+
+  const handleRedo = useCallback(() => {
+    const label = storageService.redo();
+    if (!label) return;
+    refreshData();
+    showNotification(`Redone: ${label}`);
+  }, [refreshData, showNotification]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y also redoes); text fields keep their own undo
+  useEffect(() => {
+    if (locked) return;
+
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handleRedo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [locked, handleUndo, handleRedo]);
+
   // Handle new transactions from file upload
-  const handleTransactionsLoaded = useCallback((newTransactions) => {
-    const result = storageService.addTransactions(newTransactions);
+  // Several statements imported together keep the upload page open (stayOnUpload)
+  // accountId is the account picked while reviewing; otherwise the statement header decides
+  const handleTransactionsLoaded = useCallback(({ transactions: newTransactions, format, statement: metadata, fileName, accountId }, { stayOnUpload = false } = {}) => {
+    const result = storageService.importStatement(newTransactions, { statement: metadata, format, fileName, accountId });
     setTransactions(storageService.getTransactions());
-    showNotification(`Added ${result.added} new transactions (${result.total} total)`);
-    setActiveTab('transactions');
+    setAccounts(storageService.getAccounts());
+    setStatements(storageService.getStatements());
+
+    // Mention the detected bank, plus the account and period the import covered
+    const { account: importedAccount, statement } = result;
+    const bank = format ? ` ${format.shortName}` : '';
+    const account = importedAccount ? ` to ${getAccountLabel(importedAccount)}` : '';
+    const period = statement.periodFrom && statement.periodTo ? ` (${statement.periodFrom} to ${statement.periodTo})` : '';
+    showNotification(`Added ${result.added} new${bank} transactions${account}${period} (${result.total} total)`);
+    if (!stayOnUpload) setActiveTab('transactions');
   }, [showNotification]);
 
   // Update a transaction
@@ -61,6 +211,39 @@ function App() {
     }
   }, [showNotification]);
 
+  // Add an account by hand
+  const handleAddAccount = useCallback((details) => {
+    const account = storageService.addAccount(details);
+    setAccounts(storageService.getAccounts());
+    showNotification(`Added ${getAccountLabel(account)}`);
+  }, [showNotification]);
+
+  // Edit an account's name, type, bank or opening balance
+  const handleUpdateAccount = useCallback((id, updates) => {
+    storageService.updateAccount(id, updates);
+    setAccounts(storageService.getAccounts());
+    showNotification('Account updated');
+  }, [showNotification]);
+
+  // Delete an account without transactions
+  const handleDeleteAccount = useCallback((id) => {
+    if (!window.confirm('Delete this account?')) return;
+    try {
+      storageService.deleteAccount(id);
+      setAccounts(storageService.getAccounts());
+      showNotification('Account deleted');
+    } catch (error) {
+      showNotification(error.message, 'error');
+    }
+  }, [showNotification]);
+
+  // Stop counting a matched pair as a transfer between the user's accounts
+  const handleUnpairTransfer = useCallback((transaction) => {
+    storageService.unpairTransfer(transaction.id, transaction.transferPairId);
+    setTransactions(storageService.getTransactions());
+    showNotification('Transfer unpaired: both rows count as income and spending again');
+  }, [showNotification]);
+
   // Update categories
   const handleUpdateCategories = useCallback((newCategories) => {
     storageService.saveCategories(newCategories);
@@ -75,6 +258,20 @@ function App() {
     showNotification('Auto-label rules updated');
   }, [showNotification]);
 
+  // Update description cleaning rules and re-clean every description from its raw narration
+  const handleUpdateCleaningRules = useCallback((newRules) => {
+    const result = storageService.updateCleaningRules(newRules);
+    setCleaningRules(newRules);
+    setTransactions(storageService.getTransactions());
+    showNotification(`Cleaning rules saved, ${result.cleaned} descriptions updated`);
+  }, [showNotification]);
+
+  // Save a column-mapping template from the upload wizard
+  const handleSaveMappingTemplate = useCallback((template) => {
+    setMappingTemplates(storageService.addMappingTemplate(template));
+    showNotification(`Saved column mapping "${template.name}"`);
+  }, [showNotification]);
+
   // Apply auto-label rules to transactions
   const handleApplyAutoLabelRules = useCallback(() => {
     const rules = storageService.getAutoLabelRules();
@@ -86,9 +283,10 @@ function App() {
 
   // Clear all data
   const handleClearData = useCallback(() => {
-    if (window.confirm('Are you sure you want to delete all transactions? This cannot be undone.')) {
+    if (window.confirm('Are you sure you want to delete all transactions? You can undo this with Ctrl+Z.')) {
       storageService.clearTransactions();
       setTransactions([]);
+      setStatements([]);
       showNotification('All transactions cleared');
     }
   }, [showNotification]);
@@ -105,22 +303,58 @@ function App() {
     setActiveTab('transactions');
   }, []);
 
+  // Navigate to transactions with payment channel filter
+  const handleViewChannel = useCallback((channel, dateFilter) => {
+    setTransactionFilter({ channel, ...dateFilter });
+    setActiveTab('transactions');
+  }, []);
+
+  // Navigate to specific transactions (e.g. rows around a balance break)
+  const handleViewTransactions = useCallback((ids) => {
+    // The ids may belong to any account
+    setSelectedAccountId('all');
+    setTransactionFilter({ ids });
+    setActiveTab('transactions');
+  }, []);
+
   // Clear transaction filter
   const handleClearTransactionFilter = useCallback(() => {
     setTransactionFilter(null);
   }, []);
 
-  // Export data
-  const handleExportData = useCallback(() => {
-    const data = storageService.exportData();
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  // Export data as a JSON backup, or as QIF/OFX for desktop finance tools
+  const handleExportData = useCallback(async (format = 'json') => {
+    const today = new Date().toISOString().split('T')[0];
+    const transactions = storageService.getTransactions();
+    let content;
+    let type;
+    let fileName;
+
+    if (format === 'qif') {
+      content = writeQIF(transactions, { categories: storageService.getCategories(), accounts: storageService.getAccounts() });
+      type = 'application/qif';
+      fileName = `bank-transactions-${today}.qif`;
+    } else if (format === 'ofx') {
+      content = writeOFX(transactions, storageService.getAccounts());
+      type = 'application/x-ofx';
+      fileName = `bank-transactions-${today}.ofx`;
+    } else {
+      // Encrypted with the app passphrase when one is set
+      content = JSON.stringify(await storageService.createBackup(), null, 2);
+      type = 'application/json';
+      fileName = `bank-statement-backup-${today}.json`;
+    }
+
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `bank-statement-backup-${new Date().toISOString().split('T')[0]}.json`;
+    a.download = fileName;
     a.click();
     URL.revokeObjectURL(url);
-    showNotification('Data exported successfully');
+    showNotification(format === 'json'
+      ? `${storageService.isEncrypted() ? 'Encrypted backup' : 'Data'} exported successfully`
+      : `Exported ${transactions.length} transactions as ${format.toUpperCase()}`);
   }, [showNotification]);
 
   // Clean up transaction descriptions
@@ -130,39 +364,108 @@ function App() {
     showNotification(`Cleaned ${result.cleaned} of ${result.total} transaction descriptions`);
   }, [showNotification]);
 
+  // Offer to replace the stored data with a (decrypted) backup or merge it in
+  const importBackup = useCallback((backupData) => {
+    try {
+      // Upgraded to the current schema and validated before anything is changed
+      const backup = parseBackup(backupData);
+      setPendingBackup({ backup, plan: storageService.planMerge(backup) });
+    } catch (err) {
+      showNotification(err.code === 'INVALID_BACKUP' ? err.message : 'Failed to parse backup file', 'error');
+      console.error('Import error:', err);
+    }
+  }, [showNotification]);
+
+  const handleReplaceWithBackup = useCallback(() => {
+    storageService.importData(pendingBackup.backup);
+    setPendingBackup(null);
+    refreshData();
+    showNotification('Data imported successfully');
+  }, [pendingBackup, refreshData, showNotification]);
+
+  const handleMergeBackup = useCallback((resolutions) => {
+    const { plan } = pendingBackup;
+    storageService.mergeData(plan, resolutions);
+    setPendingBackup(null);
+    refreshData();
+    const taken = plan.transactions.conflicts.filter(conflict => (resolutions[conflict.id] || 'mine') !== 'mine').length;
+    showNotification(`Merged backup: ${plan.transactions.added.length} transactions added, ${taken} updated from the backup`);
+  }, [pendingBackup, refreshData, showNotification]);
+
   // Import data from JSON file
   const handleImportData = useCallback((event) => {
     const file = event.target.files?.[0];
     if (!file) return;
 
     const reader = new FileReader();
-    reader.onload = (e) => {
+    reader.onload = async (e) => {
+      let data;
       try {
-        const data = JSON.parse(e.target.result);
-        
-        if (!data.transactions && !data.categories) {
-          showNotification('Invalid backup file format', 'error');
-          return;
-        }
-
-        if (window.confirm(`Import ${data.transactions?.length || 0} transactions and ${data.categories?.length || 0} categories? This will replace existing data.`)) {
-          storageService.importData(data);
-          setTransactions(storageService.getTransactions());
-          setCategories(storageService.getCategories());
-          setAutoLabelRules(storageService.getAutoLabelRules());
-          showNotification('Data imported successfully');
-        }
+        data = JSON.parse(e.target.result);
       } catch (err) {
         showNotification('Failed to parse backup file', 'error');
         console.error('Import error:', err);
+        return;
+      }
+
+      if (!isEncryptedBackup(data)) {
+        importBackup(data);
+        return;
+      }
+
+      // Backups made with the current passphrase open directly; others ask for theirs
+      try {
+        importBackup(await storageService.decryptBackup(data));
+      } catch (err) {
+        if (err.code === 'PASSPHRASE_REQUIRED') {
+          setEncryptedBackup(data);
+        } else {
+          showNotification(err.message || 'Failed to decrypt backup file', 'error');
+        }
       }
     };
     reader.readAsText(file);
     
     // Reset input so the same file can be imported again
     event.target.value = '';
+  }, [showNotification, importBackup]);
+
+  const handleEncryptedBackupSubmit = useCallback(async (passphrase) => {
+    const data = await storageService.decryptBackup(encryptedBackup, passphrase);
+    setEncryptedBackup(null);
+    importBackup(data);
+  }, [encryptedBackup, importBackup]);
+
+  const handleEnableEncryption = useCallback(async (passphrase, minutes) => {
+    const changing = storageService.isEncrypted();
+    await storageService.enableEncryption(passphrase, minutes);
+    setEncrypted(true);
+    setAutoLockMinutes(minutes);
+    showNotification(changing ? 'Passphrase changed' : 'Your data is now encrypted');
+  }, [showNotification]);
+
+  const handleDisableEncryption = useCallback(async () => {
+    if (!window.confirm('Remove the passphrase? Your data will be stored unencrypted in this browser.')) return;
+    await storageService.disableEncryption();
+    setEncrypted(false);
+    showNotification('Passphrase removed');
   }, [showNotification]);
 
+  const handleAutoLockChange = useCallback((minutes) => {
+    storageService.setAutoLockMinutes(minutes);
+    setAutoLockMinutes(minutes);
+  }, []);
+
+  if (locked) {
+    return (
+      <PassphrasePrompt
+        title="SBI Statement Analyser is locked"
+        description="Enter your passphrase to decrypt your data"
+        onSubmit={handleUnlock}
+      />
+    );
+  }
+
   return (
     <div className="app">
       {/* Background Effects - show on all pages except upload */}
@@ -176,7 +479,23 @@ function App() {
             <h1>SBI Statement Analyser</h1>
           </div>
           <div className="header-actions">
-            <button onClick={handleCleanDescriptions} className="header-btn" title="Clean up UPI noise from descriptions">
+            <button
+              onClick={handleUndo}
+              className="header-btn"
+              disabled={!history.undo}
+              title={history.undo ? `Undo: ${history.undo} (Ctrl+Z)` : 'Nothing to undo'}
+            >
+              ↶ Undo
+            </button>
+            <button
+              onClick={handleRedo}
+              className="header-btn"
+              disabled={!history.redo}
+              title={history.redo ? `Redo: ${history.redo} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+            >
+              ↷ Redo
+            </button>
+            <button onClick={handleCleanDescriptions} className="header-btn" title="Re-run the description cleaning rules on the original narrations">
               🧹 Clean
             </button>
             <label className="header-btn" title="Import backup JSON">
@@ -188,9 +507,15 @@ function App() {
                 style={{ display: 'none' }} 
               />
             </label>
-            <button onClick={handleExportData} className="header-btn">
-              📤 Export
+            <ExportMenu onExport={handleExportData} encrypted={encrypted} />
+            <button onClick={() => setShowSecurity(true)} className="header-btn" title="Passphrase lock and encryption">
+              {encrypted ? '🔐 Encrypted' : '🔓 Lock'}
             </button>
+            {encrypted && (
+              <button onClick={handleLock} className="header-btn" title="Lock now">
+                🔒
+              </button>
+            )}
             <button onClick={handleClearData} className="header-btn danger">
               🗑️ Clear All
             </button>
@@ -227,24 +552,66 @@ function App() {
         >
           🏷️ Categories
         </button>
+        <button
+          className={`nav-tab ${activeTab === 'audit' ? 'active' : ''}`}
+          onClick={() => setActiveTab('audit')}
+        >
+          🕘 Audit log
+        </button>
       </nav>
 
+      {storageError && (
+        <div className="storage-error" role="alert">
+          <span>⚠️ {storageError}</span>
+          <button onClick={() => setStorageError(null)} aria-label="Dismiss">×</button>
+        </div>
+      )}
+
       {/* Main Content */}
       <main className="app-main">
         {activeTab === 'upload' && (
-          <FileUpload onTransactionsLoaded={handleTransactionsLoaded} />
+          <>
+            <FileUpload
+              onTransactionsLoaded={handleTransactionsLoaded}
+              existingTransactions={transactions}
+              accounts={accounts}
+              categories={categories}
+              mappingTemplates={mappingTemplates}
+              cleaningRules={cleaningRules}
+              onSaveMappingTemplate={handleSaveMappingTemplate}
+            />
+            <ImportHistory statements={statements} accounts={accounts} />
+          </>
         )}
 
         {activeTab === 'transactions' && (
           transactions.length > 0 ? (
-            <TransactionList
-              transactions={transactions}
-              categories={categories}
-              onUpdateTransaction={handleUpdateTransaction}
-              onDeleteTransaction={handleDeleteTransaction}
-              initialFilter={transactionFilter}
-              onClearFilter={handleClearTransactionFilter}
-            />
+            <>
+              <DataHealth
+                transactions={transactions}
+                accounts={accounts}
+                onViewTransactions={handleViewTransactions}
+              />
+              <AccountSwitcher
+                accounts={accounts}
+                transactions={transactions}
+                selected={accountView}
+                onSelect={setSelectedAccountId}
+                onManage={() => setShowAccounts(true)}
+              />
+              <TransactionList
+                transactions={visibleTransactions}
+                categories={categories}
+                accounts={accounts}
+                showAccount={accountView === 'all' && accounts.length > 1}
+                auditLog={auditLog}
+                onUpdateTransaction={handleUpdateTransaction}
+                onDeleteTransaction={handleDeleteTransaction}
+                onUnpairTransfer={handleUnpairTransfer}
+                initialFilter={transactionFilter}
+                onClearFilter={handleClearTransactionFilter}
+              />
+            </>
           ) : (
             <div className="empty-state">
               <span className="empty-icon">📋</span>
@@ -261,12 +628,23 @@ function App() {
         )}
 
         {activeTab === 'analytics' && (
-          <Analytics 
-            transactions={transactions} 
-            categories={categories}
-            onViewMonth={handleViewMonth}
-            onViewCategory={handleViewCategory}
-          />
+          <>
+            <AccountSwitcher
+              accounts={accounts}
+              transactions={transactions}
+              selected={accountView}
+              onSelect={setSelectedAccountId}
+              onManage={() => setShowAccounts(true)}
+            />
+            <Analytics
+              transactions={visibleTransactions}
+              categories={categories}
+              accounts={accountView === 'all' ? accounts : null}
+                onViewMonth={handleViewMonth}
+              onViewCategory={handleViewCategory}
+              onViewChannel={handleViewChannel}
+            />
+          </>
         )}
 
         {activeTab === 'categories' && (
@@ -276,6 +654,18 @@ function App() {
             autoLabelRules={autoLabelRules}
             onUpdateAutoLabelRules={handleUpdateAutoLabelRules}
             onApplyAutoLabelRules={handleApplyAutoLabelRules}
+            cleaningRules={cleaningRules}
+            transactions={transactions}
+            onUpdateCleaningRules={handleUpdateCleaningRules}
+          />
+        )}
+
+        {activeTab === 'audit' && (
+          <AuditLog
+            auditLog={auditLog}
+            transactions={transactions}
+            categories={categories}
+            onViewTransactions={handleViewTransactions}
           />
         )}
       </main>
@@ -285,6 +675,50 @@ function App() {
         Made with <span className="heart">❤️</span> by Nitin
       </footer>
 
+      {showSecurity && (
+        <SecuritySettings
+          encrypted={encrypted}
+          autoLockMinutes={autoLockMinutes}
+          onEnable={handleEnableEncryption}
+          onDisable={handleDisableEncryption}
+          onAutoLockChange={handleAutoLockChange}
+          onLock={handleLock}
+          onClose={() => setShowSecurity(false)}
+        />
+      )}
+
+      {showAccounts && (
+        <AccountManager
+          accounts={accounts}
+          transactions={transactions}
+          onAdd={handleAddAccount}
+          onUpdate={handleUpdateAccount}
+          onDelete={handleDeleteAccount}
+          onClose={() => setShowAccounts(false)}
+        />
+      )}
+
+      {encryptedBackup && (
+        <PassphrasePrompt
+          title="Encrypted backup"
+          description="Enter the passphrase this backup was made with"
+          submitLabel="Decrypt"
+          onSubmit={handleEncryptedBackupSubmit}
+          onCancel={() => setEncryptedBackup(null)}
+        />
+      )}
+
+      {pendingBackup && (
+        <BackupImportDialog
+          backup={pendingBackup.backup}
+          plan={pendingBackup.plan}
+          categories={categories}
+          onReplace={handleReplaceWithBackup}
+          onMerge={handleMergeBackup}
+          onCancel={() => setPendingBackup(null)}
+        />
+      )}
+
       {/* Notification */}
       {notification && (
         <div className={`notification ${notification.type}`}>
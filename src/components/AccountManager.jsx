@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import Dropdown from './common/Dropdown';
+import { ACCOUNT_TYPES, getAccountLabel, maskAccountNumber } from '../utils/accounts';
+import './AccountManager.css';
+
+const TYPE_OPTIONS = Object.entries(ACCOUNT_TYPES).map(([value, label]) => ({ value, label }));
+
+const EMPTY_ACCOUNT = { name: '', bank: '', accountNumber: '', type: 'savings', openingBalance: '' };
+
+const toDraft = (account) => ({
+  ...account,
+  openingBalance: account.openingBalance ?? ''
+});
+
+// Opening balance as a number, or null when left empty
+const fromDraft = ({ openingBalance, ...details }) => ({
+  ...details,
+  name: details.name.trim(),
+  openingBalance: openingBalance === '' || isNaN(Number(openingBalance)) ? null : Number(openingBalance)
+});
+
+/**
+ * Add accounts and edit their name, type, bank and opening balance
+ * Accounts read from statement headers are created on import; deleting is
+ * only offered for accounts without transactions
+ */
+function AccountManager({ accounts, transactions, onAdd, onUpdate, onDelete, onClose }) {
+  const [editing, setEditing] = useState(null); // draft of the account being edited
+  const [draft, setDraft] = useState(EMPTY_ACCOUNT);
+
+  const countOf = (accountId) => transactions.filter(t => t.accountId === accountId).length;
+
+  const handleSave = () => {
+    const { id, name, type, bank, openingBalance } = fromDraft(editing);
+    onUpdate(id, { name, type, bank, openingBalance });
+    setEditing(null);
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!draft.name.trim() && !draft.accountNumber.trim()) return;
+    onAdd(fromDraft({ ...draft, accountNumber: draft.accountNumber.trim() }));
+    setDraft(EMPTY_ACCOUNT);
+  };
+
+  const fields = (value, setValue, { withNumber = false } = {}) => (
+    <>
+      <input
+        type="text"
+        value={value.name}
+        onChange={(e) => setValue({ ...value, name: e.target.value })}
+        placeholder="Name, e.g. Joint account"
+      />
+      <Dropdown
+        value={value.type}
+        onChange={(type) => type && setValue({ ...value, type })}
+        options={TYPE_OPTIONS}
+        placeholder=""
+        size="small"
+      />
+      <input
+        type="text"
+        value={value.bank}
+        onChange={(e) => setValue({ ...value, bank: e.target.value })}
+        placeholder="Bank"
+      />
+      {withNumber && (
+        <input
+          type="text"
+          value={value.accountNumber}
+          onChange={(e) => setValue({ ...value, accountNumber: e.target.value })}
+          placeholder="Account or card number"
+        />
+      )}
+      <input
+        type="number"
+        step="0.01"
+        value={value.openingBalance}
+        onChange={(e) => setValue({ ...value, openingBalance: e.target.value })}
+        placeholder="Opening balance"
+      />
+    </>
+  );
+
+  return (
+    <div className="account-manager-overlay" onClick={onClose}>
+      <div className="account-manager" onClick={(e) => e.stopPropagation()}>
+        <div className="account-manager-header">
+          <h2>🏦 Accounts</h2>
+          <button className="account-manager-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        {accounts.length === 0 ? (
+          <p className="account-manager-empty">
+            No accounts yet. They are created from statement headers on import, or add one below.
+          </p>
+        ) : (
+          <ul className="account-list">
+            {accounts.map(account => {
+              const count = countOf(account.id);
+              return editing?.id === account.id ? (
+                <li key={account.id} className="account-item editing">
+                  <div className="account-fields">{fields(editing, setEditing)}</div>
+                  <div className="account-actions">
+                    <button onClick={handleSave} className="account-save">Save</button>
+                    <button onClick={() => setEditing(null)}>Cancel</button>
+                  </div>
+                </li>
+              ) : (
+                <li key={account.id} className="account-item">
+                  <div className="account-info">
+                    <span className="account-name">{getAccountLabel(account)}</span>
+                    <span className="account-meta">
+                      {[
+                        ACCOUNT_TYPES[account.type] || account.type,
+                        account.bank,
+                        maskAccountNumber(account.accountNumber),
+                        account.openingBalance != null && `opening ₹${account.openingBalance.toLocaleString('en-IN')}`,
+                        `${count} transactions`
+                      ].filter(Boolean).join(' · ')}
+                    </span>
+                  </div>
+                  <div className="account-actions">
+                    <button onClick={() => setEditing(toDraft(account))}>Edit</button>
+                    {count === 0 && (
+                      <button onClick={() => onDelete(account.id)} className="danger">Delete</button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        <form className="account-add" onSubmit={handleAdd}>
+          <h3>Add an account</h3>
+          <div className="account-fields">{fields(draft, setDraft, { withNumber: true })}</div>
+          <button type="submit" className="account-save" disabled={!draft.name.trim() && !draft.accountNumber.trim()}>
+            Add account
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default AccountManager;
@@ -0,0 +1,44 @@
+import { useMemo } from 'react';
+import { getAccountLabel } from '../utils/accounts';
+import './AccountSwitcher.css';
+
+/**
+ * Pick the account the transaction list and analytics show, or all of them
+ * selected is an account id, 'all', or 'none' for transactions without an account
+ */
+function AccountSwitcher({ accounts, transactions, selected, onSelect, onManage }) {
+  const counts = useMemo(() => {
+    const byAccount = {};
+    transactions.forEach(t => {
+      const key = t.accountId || 'none';
+      byAccount[key] = (byAccount[key] || 0) + 1;
+    });
+    return byAccount;
+  }, [transactions]);
+
+  const options = [
+    { id: 'all', label: 'All accounts', count: transactions.length },
+    ...accounts.map(account => ({ id: account.id, label: getAccountLabel(account), count: counts[account.id] || 0 })),
+    ...(counts.none ? [{ id: 'none', label: 'No account', count: counts.none }] : [])
+  ];
+
+  return (
+    <div className="account-switcher">
+      {options.map(option => (
+        <button
+          key={option.id}
+          className={`account-option ${selected === option.id ? 'active' : ''}`}
+          onClick={() => onSelect(option.id)}
+        >
+          {option.label}
+          <span className="account-count">{option.count}</span>
+        </button>
+      ))}
+      <button className="account-manage" onClick={onManage} title="Add and edit accounts">
+        ⚙️ Accounts
+      </button>
+    </div>
+  );
+}
+
+export default AccountSwitcher;
@@ -1,8 +1,12 @@
 import { useMemo, useState } from 'react';
 import Dropdown from './common/Dropdown';
+import { getTransactionChannel, getChannelInfo } from '../utils/channelClassifier';
+import { isTransfer as isTransferTransaction } from '../utils/transfers';
+import { getAccountLabel } from '../utils/accounts';
 import './Analytics.css';
 
-function Analytics({ transactions, categories, onViewMonth, onViewCategory }) {
+// accounts: shown as a per-account breakdown of the combined totals when given (the all-accounts view)
+function Analytics({ transactions, categories, accounts = null, onViewMonth, onViewCategory, onViewChannel }) {
   const [recalcKey, setRecalcKey] = useState(0);
   const [filterType, setFilterType] = useState('all'); // all, fy, custom, month, quarter
   const [selectedFY, setSelectedFY] = useState('');
@@ -105,6 +109,9 @@ function Analytics({ transactions, categories, onViewMonth, onViewCategory }) {
     const subcategorySpending = {};
     const monthlySpending = {};
     const monthlyIncome = {};
+    const channelSpending = {};
+    const accountTotals = {};
+    let transferTotal = 0;
 
     filteredTransactions.forEach(t => {
       // Monthly breakdown - use the date to extract month
@@ -118,15 +125,21 @@ function Analytics({ transactions, categories, onViewMonth, onViewCategory }) {
         }
       }
 
-      // Skip SWEEP transactions - these are automatic transfers between accounts, not real expenses/income
-      const upperDesc = t.description?.toUpperCase() || '';
-      const isSweep = upperDesc.includes('SWEEP');
-      // Skip TRANSFER CREDIT - these are transfers between accounts, not income
-      const isTransferCredit = upperDesc.includes('TRANSFER CREDIT') || upperDesc.includes('TRF CREDT');
-      const isTransfer = isSweep || isTransferCredit;
-      
+      // Skip transfers between accounts (sweeps, transfer credits, card bill payments) - not real expenses/income
+      const isTransfer = isTransferTransaction(t);
+      const accountKey = t.accountId || 'none';
+      const accountTotal = accountTotals[accountKey] || (accountTotals[accountKey] = { income: 0, spending: 0, transfers: 0 });
+      if (isTransfer && t.type === 'debit') {
+        transferTotal += t.debit;
+        accountTotal.transfers += t.debit;
+      }
+
       if (t.type === 'debit' && t.debit > 0 && !isTransfer) {
+        accountTotal.spending += t.debit;
         monthlySpending[month] = (monthlySpending[month] || 0) + t.debit;
+
+        const channel = getTransactionChannel(t);
+        channelSpending[channel] = (channelSpending[channel] || 0) + t.debit;
         
         if (t.category) {
           categorySpending[t.category] = (categorySpending[t.category] || 0) + t.debit;
@@ -137,6 +150,7 @@ function Analytics({ transactions, categories, onViewMonth, onViewCategory }) {
           }
         }
       } else if (t.type === 'credit' && t.credit > 0 && !isTransfer) {
+        accountTotal.income += t.credit;
         monthlyIncome[month] = (monthlyIncome[month] || 0) + t.credit;
       }
     });
@@ -160,6 +174,11 @@ function Analytics({ transactions, categories, onViewMonth, onViewCategory }) {
       })
       .sort((a, b) => b.amount - a.amount);
 
+    // Spending by payment channel (UPI, NEFT, ATM, ...)
+    const topChannels = Object.entries(channelSpending)
+      .map(([id, amount]) => ({ ...getChannelInfo(id), amount }))
+      .sort((a, b) => b.amount - a.amount);
+
     // Calculate totals from monthly data (includes all transactions)
     const totalSpending = Object.values(monthlySpending).reduce((a, b) => a + b, 0);
     const totalIncome = Object.values(monthlyIncome).reduce((a, b) => a + b, 0);
@@ -168,12 +187,15 @@ function Analytics({ transactions, categories, onViewMonth, onViewCategory }) {
     return {
       categorySpending: topCategories,
       subcategorySpending,
+      channelSpending: topChannels,
       monthlySpending,
       monthlyIncome,
       sortedMonths,
       totalSpending,
       totalIncome,
-      categorizedSpending
+      categorizedSpending,
+      accountTotals,
+      transferTotal
     };
   }, [filteredTransactions, categories, recalcKey]);
 
@@ -224,6 +246,13 @@ function Analytics({ transactions, categories, onViewMonth, onViewCategory }) {
     return filter;
   };
 
+  // Handle channel click
+  const handleChannelClick = (channelId) => {
+    if (onViewChannel) {
+      onViewChannel(channelId, getCurrentDateFilter());
+    }
+  };
+
   // Handle category click
   const handleCategoryClick = (categoryId) => {
     if (onViewCategory) {
@@ -365,6 +394,33 @@ function Analytics({ transactions, categories, onViewMonth, onViewCategory }) {
         </div>
       </div>
 
+      {analytics.transferTotal > 0 && (
+        <p className="transfer-note">
+          {formatAmount(analytics.transferTotal)} moved between your own accounts (transfers and card bill payments) is left out of these totals.
+        </p>
+      )}
+
+      {/* Per-account breakdown of the combined totals */}
+      {accounts && Object.keys(analytics.accountTotals).length > 1 && (
+        <div className="analytics-section">
+          <h3>By Account</h3>
+          <div className="account-breakdown">
+            {Object.entries(analytics.accountTotals).map(([accountId, totals]) => (
+              <div key={accountId} className="account-breakdown-item">
+                <span className="account-breakdown-name">
+                  {getAccountLabel(accounts.find(a => a.id === accountId))}
+                </span>
+                <span className="amount income">{formatAmount(totals.income)}</span>
+                <span className="amount expense">{formatAmount(totals.spending)}</span>
+                <span className="account-breakdown-transfers">
+                  {totals.transfers > 0 && `${formatAmount(totals.transfers)} transferred`}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Category Breakdown */}
       <div className="analytics-section">
         <h3>Spending by Category</h3>
@@ -410,6 +466,51 @@ function Analytics({ transactions, categories, onViewMonth, onViewCategory }) {
         </div>
       </div>
 
+      {/* Channel Breakdown */}
+      <div className="analytics-section">
+        <h3>Spending by Channel</h3>
+        <div className="category-breakdown">
+          {analytics.channelSpending.length > 0 ? (
+            analytics.channelSpending.map(channel => (
+              <div
+                key={channel.id}
+                className="category-bar-item clickable"
+                onClick={() => handleChannelClick(channel.id)}
+                title="Click to view transactions"
+              >
+                <div className="category-bar-header">
+                  <div className="category-info">
+                    <span
+                      className="category-dot"
+                      style={{ backgroundColor: channel.color }}
+                    />
+                    <span className="category-label">{channel.label}</span>
+                    <span className="view-hint">→</span>
+                  </div>
+                  <div className="category-amount">
+                    <span>{formatAmount(channel.amount)}</span>
+                    <span className="percentage">
+                      ({getPercentage(channel.amount, analytics.totalSpending)}%)
+                    </span>
+                  </div>
+                </div>
+                <div className="category-bar-track">
+                  <div
+                    className="category-bar-fill"
+                    style={{
+                      width: `${getPercentage(channel.amount, analytics.totalSpending)}%`,
+                      backgroundColor: channel.color
+                    }}
+                  />
+                </div>
+              </div>
+            ))
+          ) : (
+            <p className="no-data">No spending data available</p>
+          )}
+        </div>
+      </div>
+
       {/* Monthly Trend */}
       <div className="analytics-section">
         <h3>Monthly Trend</h3>
@@ -0,0 +1,187 @@
+import { useState, useMemo } from 'react';
+import Dropdown from './common/Dropdown';
+import {
+  AUDIT_SOURCES,
+  AUDIT_ACTIONS,
+  describeAuditSource,
+  formatAuditValue,
+  getAuditFieldLabel
+} from '../utils/auditLog';
+import './AuditLog.css';
+
+const PAGE_SIZE = 200;
+
+const formatTime = (iso) => new Date(iso).toLocaleString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Every recorded transaction change, newest first, filterable by source,
+ * action, field, date and text
+ */
+function AuditLog({ auditLog, transactions, categories, onViewTransactions }) {
+  const [filter, setFilter] = useState({ search: '', source: '', action: '', field: '', dateFrom: '', dateTo: '' });
+  const [visible, setVisible] = useState(PAGE_SIZE);
+
+  const transactionsById = useMemo(() => new Map(transactions.map(t => [t.id, t])), [transactions]);
+
+  // Deleted transactions are only known from the summary their records kept
+  const summaries = useMemo(() => {
+    const byId = new Map();
+    auditLog.forEach(record => {
+      if (record.summary) byId.set(record.transactionId, record.summary);
+    });
+    return byId;
+  }, [auditLog]);
+
+  const fields = useMemo(() => {
+    const names = new Set();
+    auditLog.forEach(record => record.changes?.forEach(change => names.add(change.field)));
+    return [...names].map(field => ({ value: field, label: getAuditFieldLabel(field) }));
+  }, [auditLog]);
+
+  const filtered = useMemo(() => {
+    const search = filter.search.trim().toLowerCase();
+    return auditLog
+      .filter(record => {
+        if (filter.source && record.source.type !== filter.source) return false;
+        if (filter.action && record.action !== filter.action) return false;
+        if (filter.field && !record.changes?.some(change => change.field === filter.field)) return false;
+        const day = record.at.slice(0, 10);
+        if (filter.dateFrom && day < filter.dateFrom) return false;
+        if (filter.dateTo && day > filter.dateTo) return false;
+        if (!search) return true;
+
+        const description = (transactionsById.get(record.transactionId) || summaries.get(record.transactionId))?.description || '';
+        return [record.transactionId, description, describeAuditSource(record.source),
+          ...(record.changes || []).flatMap(change => [change.from, change.to].map(value => formatAuditValue(change.field, value, categories)))]
+          .some(text => String(text).toLowerCase().includes(search));
+      })
+      .reverse();
+  }, [auditLog, filter, transactionsById, summaries, categories]);
+
+  const updateFilter = (updates) => {
+    setFilter({ ...filter, ...updates });
+    setVisible(PAGE_SIZE);
+  };
+
+  return (
+    <div className="audit-log">
+      <div className="audit-header">
+        <h2>🕘 Audit log</h2>
+        <span className="audit-count">
+          {filtered.length === auditLog.length
+            ? `${auditLog.length} changes`
+            : `${filtered.length} of ${auditLog.length} changes`}
+        </span>
+      </div>
+
+      <div className="audit-filters">
+        <input
+          type="text"
+          value={filter.search}
+          onChange={(e) => updateFilter({ search: e.target.value })}
+          placeholder="Search description, value or transaction id..."
+          className="audit-search"
+        />
+        <Dropdown
+          value={filter.source}
+          onChange={(source) => updateFilter({ source })}
+          options={Object.entries(AUDIT_SOURCES).map(([value, label]) => ({ value, label }))}
+          placeholder="All sources"
+          size="small"
+        />
+        <Dropdown
+          value={filter.action}
+          onChange={(action) => updateFilter({ action })}
+          options={Object.entries(AUDIT_ACTIONS).map(([value, label]) => ({ value, label }))}
+          placeholder="All actions"
+          size="small"
+        />
+        <Dropdown
+          value={filter.field}
+          onChange={(field) => updateFilter({ field })}
+          options={fields}
+          placeholder="All fields"
+          size="small"
+        />
+        <input
+          type="date"
+          value={filter.dateFrom}
+          onChange={(e) => updateFilter({ dateFrom: e.target.value })}
+          className="audit-date"
+          title="Changed on or after"
+        />
+        <input
+          type="date"
+          value={filter.dateTo}
+          onChange={(e) => updateFilter({ dateTo: e.target.value })}
+          className="audit-date"
+          title="Changed on or before"
+        />
+      </div>
+
+      {filtered.length === 0 ? (
+        <p className="audit-empty">
+          {auditLog.length === 0 ? 'No transaction changes have been recorded yet' : 'No changes match these filters'}
+        </p>
+      ) : (
+        <div className="audit-table-container">
+          <table className="audit-table">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Transaction</th>
+                <th>Action</th>
+                <th>Source</th>
+                <th>Changes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filtered.slice(0, visible).map(record => {
+                const transaction = transactionsById.get(record.transactionId);
+                const description = (transaction || summaries.get(record.transactionId))?.description;
+                return (
+                  <tr key={record.id}>
+                    <td className="audit-time">{formatTime(record.at)}</td>
+                    <td className="audit-transaction">
+                      {transaction ? (
+                        <button onClick={() => onViewTransactions([record.transactionId])} title="Show in transactions">
+                          {description || record.transactionId}
+                        </button>
+                      ) : (
+                        <span title="No longer in your transactions">{description || record.transactionId}</span>
+                      )}
+                    </td>
+                    <td><span className={`audit-action ${record.action}`}>{AUDIT_ACTIONS[record.action]}</span></td>
+                    <td className="audit-source">{describeAuditSource(record.source)}</td>
+                    <td className="audit-changes">
+                      {record.changes?.map(change => (
+                        <div key={change.field}>
+                          {getAuditFieldLabel(change.field)}: {formatAuditValue(change.field, change.from, categories)}
+                          {' → '}
+                          <strong>{formatAuditValue(change.field, change.to, categories)}</strong>
+                        </div>
+                      ))}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {filtered.length > visible && (
+            <button className="audit-more" onClick={() => setVisible(visible + PAGE_SIZE)}>
+              Show {Math.min(PAGE_SIZE, filtered.length - visible)} more
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AuditLog;
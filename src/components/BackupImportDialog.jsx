@@ -0,0 +1,168 @@
+import { useState } from 'react';
+import { formatAuditValue, getAuditFieldLabel } from '../utils/auditLog';
+import './BackupImportDialog.css';
+
+const PAGE_SIZE = 50;
+
+const formatDate = (dateStr) => {
+  if (!dateStr) return '-';
+  return new Date(dateStr).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+  });
+};
+
+/**
+ * Importing a backup: replace the current data, or merge into it and resolve
+ * the transactions both sides changed (keep mine, take theirs, or per field)
+ */
+function BackupImportDialog({ backup, plan, categories, onReplace, onMerge, onCancel }) {
+  const [step, setStep] = useState('choose');
+  const [resolutions, setResolutions] = useState({});
+  const [visible, setVisible] = useState(PAGE_SIZE);
+
+  const { added, conflicts, unchanged } = plan.transactions;
+  const choiceOf = (id) => resolutions[id] || 'mine';
+
+  const setChoice = (id, choice) => setResolutions({ ...resolutions, [id]: choice });
+
+  const setAll = (choice) => {
+    setResolutions(Object.fromEntries(conflicts.map(conflict => [conflict.id, choice])));
+  };
+
+  // Switching a conflict to per-field picking starts from its current whole-record choice
+  const pickFields = (conflict) => {
+    const side = choiceOf(conflict.id);
+    setChoice(conflict.id, Object.fromEntries(conflict.fields.map(field => [field, side])));
+  };
+
+  const setFieldChoice = (conflict, field, side) => {
+    setChoice(conflict.id, { ...choiceOf(conflict.id), [field]: side });
+  };
+
+  const handleMerge = () => {
+    if (step === 'choose' && conflicts.length > 0) {
+      setStep('conflicts');
+      return;
+    }
+    onMerge(resolutions);
+  };
+
+  const mergeSummary = [
+    `${added.length} new transactions`,
+    conflicts.length > 0 && `${conflicts.length} with differences to review`,
+    unchanged > 0 && `${unchanged} already here`,
+    plan.categories.added > 0 && `${plan.categories.added} categories`,
+    plan.categories.subcategoriesAdded > 0 && `${plan.categories.subcategoriesAdded} subcategories`,
+    plan.autoLabelRules.added > 0 && `${plan.autoLabelRules.added} auto-label rules`,
+    plan.cleaningRules.added > 0 && `${plan.cleaningRules.added} cleaning rules`,
+    plan.accounts.added > 0 && `${plan.accounts.added} accounts`
+  ].filter(Boolean).join(', ');
+
+  return (
+    <div className="backup-dialog-overlay" onClick={onCancel}>
+      <div className={`backup-dialog ${step}`} onClick={(e) => e.stopPropagation()}>
+        <div className="backup-dialog-header">
+          <h2>{step === 'choose' ? '📥 Import backup' : `Resolve ${conflicts.length} differences`}</h2>
+          <button className="backup-dialog-close" onClick={onCancel} aria-label="Close">×</button>
+        </div>
+
+        {step === 'choose' ? (
+          <>
+            <p className="backup-dialog-intro">
+              This backup has {backup.transactions?.length || 0} transactions and {backup.categories?.length || 0} categories
+              {backup.exportedAt && `, exported ${formatDate(backup.exportedAt)}`}.
+            </p>
+            <div className="backup-options">
+              <button className="backup-option" onClick={handleMerge}>
+                <strong>🔀 Merge into my data</strong>
+                <span>Adds {mergeSummary}. Nothing of yours is removed.</span>
+              </button>
+              <button className="backup-option danger" onClick={onReplace}>
+                <strong>♻️ Replace my data</strong>
+                <span>Your transactions, categories, rules and settings are replaced by the backup.</span>
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="conflict-toolbar">
+              <span>These transactions are in both, with different values.</span>
+              <button onClick={() => setAll('mine')}>Keep mine for all</button>
+              <button onClick={() => setAll('theirs')}>Take theirs for all</button>
+            </div>
+
+            <ul className="conflict-list">
+              {conflicts.slice(0, visible).map(conflict => {
+                const choice = choiceOf(conflict.id);
+                const perField = typeof choice === 'object';
+                return (
+                  <li key={conflict.id} className="conflict-item">
+                    <div className="conflict-transaction">
+                      <span className="conflict-date">{formatDate(conflict.mine.date)}</span>
+                      <span className="conflict-description">{conflict.mine.description}</span>
+                      <span className="conflict-amount">₹{Math.abs(conflict.mine.amount || 0).toLocaleString('en-IN')}</span>
+                    </div>
+                    <div className="conflict-choices">
+                      <button className={choice === 'mine' ? 'active' : ''} onClick={() => setChoice(conflict.id, 'mine')}>
+                        Keep mine
+                      </button>
+                      <button className={choice === 'theirs' ? 'active' : ''} onClick={() => setChoice(conflict.id, 'theirs')}>
+                        Take theirs
+                      </button>
+                      <button className={perField ? 'active' : ''} onClick={() => !perField && pickFields(conflict)}>
+                        Pick per field
+                      </button>
+                    </div>
+                    <table className="conflict-fields">
+                      <thead>
+                        <tr>
+                          <th></th>
+                          <th>Mine</th>
+                          <th>Theirs</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {conflict.fields.map(field => {
+                          const side = perField ? choice[field] : choice;
+                          const cell = (value, cellSide) => (
+                            <td
+                              className={`${side === cellSide ? 'chosen' : ''} ${perField ? 'pickable' : ''}`}
+                              onClick={() => perField && setFieldChoice(conflict, field, cellSide)}
+                            >
+                              {formatAuditValue(field, value, categories)}
+                            </td>
+                          );
+                          return (
+                            <tr key={field}>
+                              <th>{getAuditFieldLabel(field)}</th>
+                              {cell(conflict.mine[field], 'mine')}
+                              {cell(conflict.theirs[field], 'theirs')}
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </li>
+                );
+              })}
+            </ul>
+            {conflicts.length > visible && (
+              <button className="conflict-more" onClick={() => setVisible(visible + PAGE_SIZE)}>
+                Show more ({conflicts.length - visible} left, they keep your values unless changed above)
+              </button>
+            )}
+
+            <div className="backup-dialog-actions">
+              <button className="backup-secondary" onClick={() => setStep('choose')}>Back</button>
+              <button className="backup-primary" onClick={handleMerge}>Merge</button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BackupImportDialog;
@@ -1,10 +1,20 @@
 import { useState } from 'react';
 import AutoLabelManager from './AutoLabelManager';
+import CleaningRulesManager from './CleaningRulesManager';
 import './CategoryManager.css';
 
 const INITIAL_VISIBLE_COUNT = 3;
 
-function CategoryManager({ categories, onUpdateCategories, autoLabelRules, onUpdateAutoLabelRules, onApplyAutoLabelRules }) {
+function CategoryManager({
+  categories,
+  onUpdateCategories,
+  autoLabelRules,
+  onUpdateAutoLabelRules,
+  onApplyAutoLabelRules,
+  cleaningRules,
+  transactions,
+  onUpdateCleaningRules
+}) {
   const [editingCategoryName, setEditingCategoryName] = useState(null);
   const [activeSubcategoryInput, setActiveSubcategoryInput] = useState(null);
   const [newCategory, setNewCategory] = useState({ name: '', color: '#6366f1' });
@@ -193,6 +203,13 @@ function CategoryManager({ categories, onUpdateCategories, autoLabelRules, onUpd
         onUpdateRules={onUpdateAutoLabelRules}
         onApplyRules={onApplyAutoLabelRules}
       />
+
+      {/* Description Cleaning Rules */}
+      <CleaningRulesManager
+        rules={cleaningRules || []}
+        transactions={transactions || []}
+        onUpdateRules={onUpdateCleaningRules}
+      />
     </div>
   );
 }
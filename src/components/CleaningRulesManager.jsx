@@ -0,0 +1,191 @@
+import { useState, useMemo } from 'react';
+import { DEFAULT_CLEANING_RULES, validateCleaningRule, getCleanedDescription } from '../utils/narrationCleaning';
+import './CleaningRulesManager.css';
+
+const PREVIEW_EXAMPLES = 5;
+
+function CleaningRulesManager({ rules, transactions, onUpdateRules }) {
+  const [draft, setDraft] = useState(rules);
+  const [sample, setSample] = useState(null);
+
+  // Reset the draft when saved rules change (save, backup import)
+  const [savedRules, setSavedRules] = useState(rules);
+  if (rules !== savedRules) {
+    setSavedRules(rules);
+    setDraft(rules);
+  }
+
+  const errors = useMemo(() => {
+    const result = {};
+    draft.forEach(rule => {
+      const error = validateCleaningRule(rule);
+      if (error) result[rule.id] = error;
+    });
+    return result;
+  }, [draft]);
+
+  const hasErrors = Object.keys(errors).length > 0;
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(rules);
+
+  // A few distinct raw narrations from the data to preview the draft on
+  const examples = useMemo(() => {
+    const seen = new Set();
+    const result = [];
+    for (const t of transactions) {
+      const raw = t.rawDescription || t.description;
+      if (!raw || seen.has(raw)) continue;
+      seen.add(raw);
+      result.push(t);
+      if (result.length >= PREVIEW_EXAMPLES) break;
+    }
+    return result;
+  }, [transactions]);
+
+  const sampleText = sample ?? (examples[0]?.rawDescription || examples[0]?.description) ?? '';
+
+  const updateRule = (ruleId, changes) => {
+    setDraft(draft.map(rule => rule.id === ruleId ? { ...rule, ...changes } : rule));
+  };
+
+  const moveRule = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= draft.length) return;
+    const next = [...draft];
+    [next[index], next[target]] = [next[target], next[index]];
+    setDraft(next);
+  };
+
+  const handleAddRule = () => {
+    setDraft([
+      ...draft,
+      { id: `clean_${Date.now()}`, label: '', pattern: '', replacement: '', enabled: true }
+    ]);
+  };
+
+  const handleDeleteRule = (ruleId) => {
+    setDraft(draft.filter(rule => rule.id !== ruleId));
+  };
+
+  const handleResetDefaults = () => {
+    if (window.confirm('Replace your cleaning rules with the defaults?')) {
+      setDraft(DEFAULT_CLEANING_RULES);
+    }
+  };
+
+  const handleSave = () => {
+    if (hasErrors) return;
+    onUpdateRules(draft);
+  };
+
+  return (
+    <div className="cleaning-rules-manager">
+      <div className="cleaning-rules-header">
+        <div className="header-text">
+          <h3>🧹 Description Cleaning</h3>
+          <p className="header-description">
+            Find/replace patterns applied in order to the original narration. The original is always kept,
+            so rules can be changed and re-run at any time.
+          </p>
+        </div>
+        <div className="header-actions">
+          <button className="cleaning-secondary-btn" onClick={handleResetDefaults}>
+            Reset to defaults
+          </button>
+          <button className="cleaning-secondary-btn" onClick={handleAddRule}>
+            + Add Rule
+          </button>
+          <button
+            className="cleaning-save-btn"
+            onClick={handleSave}
+            disabled={!isDirty || hasErrors}
+            title="Save the rules and re-clean all descriptions"
+          >
+            Save &amp; Re-clean
+          </button>
+        </div>
+      </div>
+
+      {draft.length === 0 ? (
+        <p className="cleaning-empty">No cleaning rules - descriptions show the narration as the bank printed it.</p>
+      ) : (
+        <div className="cleaning-rules-list">
+          {draft.map((rule, index) => (
+            <div key={rule.id} className={`cleaning-rule ${rule.enabled ? '' : 'disabled'}`}>
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                title={rule.enabled ? 'Disable rule' : 'Enable rule'}
+              />
+              <input
+                type="text"
+                className="rule-label-input"
+                value={rule.label}
+                onChange={(e) => updateRule(rule.id, { label: e.target.value })}
+                placeholder="Label"
+              />
+              <input
+                type="text"
+                className={`rule-pattern-input ${errors[rule.id] ? 'invalid' : ''}`}
+                value={rule.pattern}
+                onChange={(e) => updateRule(rule.id, { pattern: e.target.value })}
+                placeholder="Regex pattern"
+                title={errors[rule.id] || 'Regular expression, matched case-insensitively'}
+              />
+              <span className="rule-arrow">→</span>
+              <input
+                type="text"
+                className="rule-replacement-input"
+                value={rule.replacement}
+                onChange={(e) => updateRule(rule.id, { replacement: e.target.value })}
+                placeholder="(remove)"
+              />
+              <div className="rule-actions">
+                <button onClick={() => moveRule(index, -1)} disabled={index === 0} title="Move up">↑</button>
+                <button onClick={() => moveRule(index, 1)} disabled={index === draft.length - 1} title="Move down">↓</button>
+                <button onClick={() => handleDeleteRule(rule.id)} className="rule-delete" title="Delete rule">×</button>
+              </div>
+              {errors[rule.id] && <div className="rule-error">{errors[rule.id]}</div>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="cleaning-preview">
+        <h4>Preview</h4>
+        <input
+          type="text"
+          className="preview-sample-input"
+          value={sampleText}
+          onChange={(e) => setSample(e.target.value)}
+          placeholder="Paste a narration to try the rules on"
+        />
+        <div className="preview-result">
+          <span className="preview-label">Cleaned:</span>
+          <span>{getCleanedDescription({ rawDescription: sampleText }, draft) || '—'}</span>
+        </div>
+
+        {examples.length > 0 && (
+          <table className="preview-examples">
+            <thead>
+              <tr>
+                <th>Original narration</th>
+                <th>Cleaned</th>
+              </tr>
+            </thead>
+            <tbody>
+              {examples.map(t => (
+                <tr key={t.id}>
+                  <td>{t.rawDescription || t.description}</td>
+                  <td>{getCleanedDescription(t, draft)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CleaningRulesManager;
@@ -0,0 +1,187 @@
+import { useState, useMemo } from 'react';
+import Dropdown from './common/Dropdown';
+import { MAPPING_FIELDS, MAPPING_DELIMITERS, validateMapping } from '../utils/columnMapping';
+import './ColumnMapper.css';
+
+const PREVIEW_ROWS = 15;
+
+function ColumnMapper({ fileName, rows, delimiter, onDelimiterChange, templates = [], onApply, onCancel }) {
+  const [headerIndex, setHeaderIndex] = useState(0);
+  const [columnRoles, setColumnRoles] = useState({}); // { [columnIndex]: fieldId }
+  const [saveTemplate, setSaveTemplate] = useState(false);
+  const [templateName, setTemplateName] = useState('');
+  const [validationError, setValidationError] = useState(null);
+
+  const previewRows = rows.slice(0, PREVIEW_ROWS);
+  const columnCount = Math.max(0, ...previewRows.map(row => row.length));
+
+  // Convert per-column roles into the { field: columnIndex } shape parseRows expects
+  const columns = useMemo(() => {
+    const mapped = {};
+    Object.entries(columnRoles).forEach(([index, field]) => {
+      if (field) mapped[field] = Number(index);
+    });
+    return mapped;
+  }, [columnRoles]);
+
+  const handleRoleChange = (columnIndex, field) => {
+    const updated = {};
+    // A field can only be mapped to one column
+    Object.entries(columnRoles).forEach(([index, role]) => {
+      if (role !== field) updated[index] = role;
+    });
+    updated[columnIndex] = field;
+    setColumnRoles(updated);
+    setValidationError(null);
+  };
+
+  const handleLoadTemplate = (templateId) => {
+    const template = templates.find(t => t.id === templateId);
+    if (!template) return;
+
+    const roles = {};
+    Object.entries(template.columns).forEach(([field, index]) => {
+      roles[index] = field;
+    });
+    setColumnRoles(roles);
+    setHeaderIndex(template.headerIndex);
+    if (delimiter && template.delimiter && template.delimiter !== delimiter) {
+      onDelimiterChange(template.delimiter);
+    }
+  };
+
+  const handleApply = () => {
+    const error = validateMapping(columns);
+    if (error) {
+      setValidationError(error);
+      return;
+    }
+    if (saveTemplate && !templateName.trim()) {
+      setValidationError('Enter a name for the template');
+      return;
+    }
+
+    onApply({
+      mapping: { headerIndex, columns },
+      templateName: saveTemplate ? templateName.trim() : ''
+    });
+  };
+
+  return (
+    <div className="column-mapper">
+      <div className="column-mapper-header">
+        <h3>Map columns for {fileName}</h3>
+        <p>
+          We couldn't find the transaction header in this file. Pick the header line and
+          tell us what each column holds.
+        </p>
+      </div>
+
+      <div className="column-mapper-controls">
+        {delimiter && (
+          <Dropdown
+            value={delimiter}
+            onChange={onDelimiterChange}
+            options={MAPPING_DELIMITERS}
+            placeholder=""
+            size="small"
+          />
+        )}
+        {templates.length > 0 && (
+          <Dropdown
+            value=""
+            onChange={handleLoadTemplate}
+            options={templates.map(t => ({ value: t.id, label: t.name }))}
+            placeholder="Load saved template..."
+            size="small"
+          />
+        )}
+        <label className="no-header-option">
+          <input
+            type="radio"
+            name="header-line"
+            checked={headerIndex === -1}
+            onChange={() => setHeaderIndex(-1)}
+          />
+          No header line
+        </label>
+      </div>
+
+      <div className="column-mapper-table-container">
+        <table className="column-mapper-table">
+          <thead>
+            <tr>
+              <th className="header-line-cell">Header</th>
+              {Array.from({ length: columnCount }, (_, index) => (
+                <th key={index}>
+                  <Dropdown
+                    value={columnRoles[index] || ''}
+                    onChange={(field) => handleRoleChange(index, field)}
+                    options={MAPPING_FIELDS.map(f => ({ value: f.id, label: f.label }))}
+                    placeholder="Ignore"
+                    size="small"
+                  />
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {previewRows.map((row, rowIndex) => (
+              <tr
+                key={rowIndex}
+                className={rowIndex === headerIndex ? 'header-line' : rowIndex < headerIndex ? 'skipped-line' : ''}
+              >
+                <td className="header-line-cell">
+                  <input
+                    type="radio"
+                    name="header-line"
+                    checked={headerIndex === rowIndex}
+                    onChange={() => setHeaderIndex(rowIndex)}
+                    title="Use this line as the header"
+                  />
+                </td>
+                {Array.from({ length: columnCount }, (_, index) => (
+                  <td key={index} title={row[index]}>{row[index] || ''}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {rows.length > PREVIEW_ROWS && (
+        <p className="column-mapper-note">Showing the first {PREVIEW_ROWS} of {rows.length} lines</p>
+      )}
+
+      <div className="column-mapper-footer">
+        <label className="save-template-option">
+          <input
+            type="checkbox"
+            checked={saveTemplate}
+            onChange={(e) => setSaveTemplate(e.target.checked)}
+          />
+          Save as template
+        </label>
+        {saveTemplate && (
+          <input
+            type="text"
+            value={templateName}
+            onChange={(e) => setTemplateName(e.target.value)}
+            placeholder="Template name (e.g. Old SBI export)"
+            className="template-name-input"
+          />
+        )}
+        <div className="column-mapper-actions">
+          <button onClick={onCancel} className="cancel-btn">Cancel</button>
+          <button onClick={handleApply} className="apply-mapping-btn">Apply Mapping</button>
+        </div>
+      </div>
+
+      {validationError && (
+        <p className="column-mapper-error">{validationError}</p>
+      )}
+    </div>
+  );
+}
+
+export default ColumnMapper;
@@ -0,0 +1,68 @@
+import { useState, useMemo } from 'react';
+import { findBalanceBreaks } from '../utils/balanceCheck';
+import './DataHealth.css';
+
+const formatAmount = (amount) => amount.toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDate = (dateStr) => {
+  if (!dateStr) return '-';
+  return new Date(dateStr).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+  });
+};
+
+function DataHealth({ transactions, accounts = [], onViewTransactions }) {
+  const [expanded, setExpanded] = useState(false);
+
+  const breaks = useMemo(() => findBalanceBreaks(transactions), [transactions]);
+
+  const getAccountLabel = (accountId) => {
+    const account = accounts.find(a => a.id === accountId);
+    return account ? `A/c ${account.accountNumber}` : null;
+  };
+
+  return (
+    <div className={`data-health ${breaks.length > 0 ? 'has-breaks' : 'healthy'}`}>
+      <button className="data-health-toggle" onClick={() => setExpanded(!expanded)} disabled={breaks.length === 0}>
+        <span className="data-health-icon">{breaks.length > 0 ? '⚠️' : '✅'}</span>
+        {breaks.length > 0
+          ? `${breaks.length} running-balance ${breaks.length === 1 ? 'break' : 'breaks'} found`
+          : 'Running balances are continuous'}
+        {breaks.length > 0 && <span className="data-health-chevron">{expanded ? '▾' : '▸'}</span>}
+      </button>
+
+      {expanded && breaks.length > 0 && (
+        <ul className="data-health-breaks">
+          {breaks.map(b => (
+            <li key={b.transactionId}>
+              <div className="break-summary">
+                <span className="break-date">{formatDate(b.date)}</span>
+                {getAccountLabel(b.accountId) && <span className="break-account">{getAccountLabel(b.accountId)}</span>}
+                <span>
+                  Expected ₹{formatAmount(b.expected)}, statement shows ₹{formatAmount(b.actual)}
+                  <span className={b.difference > 0 ? 'break-diff positive' : 'break-diff negative'}>
+                    {' '}({b.difference > 0 ? '+' : '-'}₹{formatAmount(Math.abs(b.difference))})
+                  </span>
+                </span>
+              </div>
+              <div className="break-reason">{b.reason}</div>
+              <button
+                className="break-view-btn"
+                onClick={() => onViewTransactions([b.previousId, b.transactionId].filter(Boolean))}
+              >
+                View rows
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default DataHealth;
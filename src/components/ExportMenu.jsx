@@ -0,0 +1,52 @@
+import { useState, useEffect, useRef } from 'react';
+import './ExportMenu.css';
+
+const EXPORT_OPTIONS = [
+  { id: 'json', label: 'Backup (JSON)', hint: 'Everything, for importing back into this app' },
+  { id: 'qif', label: 'QIF', hint: 'GnuCash, KMyMoney, Money Manager Ex - with categories' },
+  { id: 'ofx', label: 'OFX', hint: 'Any finance tool that reads bank downloads' }
+];
+
+function ExportMenu({ onExport, encrypted = false }) {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const handleSelect = (format) => {
+    setOpen(false);
+    onExport(format);
+  };
+
+  return (
+    <div className="export-menu" ref={menuRef}>
+      <button onClick={() => setOpen(!open)} className="header-btn">
+        📤 Export
+      </button>
+      {open && (
+        <ul className="export-menu-list">
+          {EXPORT_OPTIONS.map(option => (
+            <li key={option.id}>
+              <button onClick={() => handleSelect(option.id)}>
+                <span className="export-menu-label">{option.label}</span>
+                <span className="export-menu-hint">
+                  {option.id === 'json' && encrypted ? 'Everything, encrypted with your passphrase' : option.hint}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ExportMenu;
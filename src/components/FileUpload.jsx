@@ -1,48 +1,391 @@
-import { useState, useCallback } from 'react';
-import { parseTSV, readFileAsText } from '../utils/tsvParser';
+import { useState, useCallback, useMemo, useRef, useEffect } from 'react';
+import { parseTSV, parseRows, splitRows } from '../utils/tsvParser';
+import { readFileAsArrayBuffer } from '../utils/fileReader';
+import { parsePdfStatement } from '../utils/pdfParser';
+import { parseFileInWorker } from '../utils/parseWorkerClient';
+import { getBankFormats } from '../utils/bankFormats';
+import { findMatchingTemplate, getLayoutSignature } from '../utils/columnMapping';
+import { getCleanedDescription } from '../utils/narrationCleaning';
+import { getEncodingLabel, TEXT_ENCODINGS } from '../utils/textEncoding';
+import { getImportAccountId, stageTransactions } from '../utils/importStaging';
+import { htmlToRows } from '../utils/pasteParser';
+import Dropdown from './common/Dropdown';
+import ColumnMapper from './ColumnMapper';
+import ImportStaging from './ImportStaging';
+import ImportBatchSummary from './ImportBatchSummary';
+import ParseReport from './ParseReport';
+import PasteImport from './PasteImport';
 import './FileUpload.css';
 
-function FileUpload({ onTransactionsLoaded }) {
+const TEXT_EXTENSIONS = ['.tsv', '.txt'];
+const SPREADSHEET_EXTENSIONS = ['.xls', '.xlsx'];
+const PDF_EXTENSIONS = ['.pdf'];
+const OFX_EXTENSIONS = ['.ofx', '.qfx'];
+const QIF_EXTENSIONS = ['.qif'];
+
+const UNSUPPORTED_FILE_MESSAGE = 'Please upload a TSV file (.tsv or .txt), an Excel statement (.xls or .xlsx), a PDF e-statement or an OFX/QIF file';
+
+const PHASE_LABELS = {
+  reading: 'Reading',
+  parsing: 'Parsing'
+};
+
+const getExtension = (fileName) => {
+  const dotIndex = fileName.lastIndexOf('.');
+  return dotIndex === -1 ? '' : fileName.slice(dotIndex).toLowerCase();
+};
+
+// The kind of statement a file holds, from its extension (null when unsupported)
+const getFileKind = (fileName) => {
+  const extension = getExtension(fileName);
+  if (TEXT_EXTENSIONS.includes(extension)) return 'text';
+  if (SPREADSHEET_EXTENSIONS.includes(extension)) return 'spreadsheet';
+  if (PDF_EXTENSIONS.includes(extension)) return 'pdf';
+  if (OFX_EXTENSIONS.includes(extension)) return 'ofx';
+  if (QIF_EXTENSIONS.includes(extension)) return 'qif';
+  return null;
+};
+
+// How a statement of a multi-account OFX/QIF file is told apart in the batch list
+const describeStatement = (statement, index) => {
+  if (statement.accountNumber) return `A/c ${statement.accountNumber}`;
+  if (statement.cardNumber) return `Card ${statement.cardNumber}`;
+  return statement.accountName || `Statement ${index + 1}`;
+};
+
+// A parse request holds either the text content (delimiter can change) or spreadsheet rows
+const parseRequest = (request, mapping = null) => request.content !== undefined
+  ? parseTSV(request.content, { mapping })
+  : parseRows(request.rows, { mapping });
+
+const getRequestRows = (request, delimiter) => request.content !== undefined
+  ? splitRows(request.content, delimiter)
+  : request.rows;
+
+function FileUpload({
+  onTransactionsLoaded,
+  existingTransactions = [],
+  accounts = [],
+  categories = [],
+  mappingTemplates = [],
+  cleaningRules,
+  onSaveMappingTemplate
+}) {
   const [isDragging, setIsDragging] = useState(false);
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState(null); // { fileName, index, count, phase, done, total }
+
+  const [passwordPrompt, setPasswordPrompt] = useState(null); // { fileName, data, incorrect }
+  const [password, setPassword] = useState('');
+  const [mappingRequest, setMappingRequest] = useState(null); // { fileName, content | rows, delimiter }
+  const [stagedImport, setStagedImport] = useState(null); // { fileName, result }
+  const [failedImport, setFailedImport] = useState(null); // { fileName, result } with no transactions
+  const [textSource, setTextSource] = useState(null); // { file, encoding, detected } of the last text file read
+  const [batch, setBatch] = useState(null); // entries of several files dropped at once (see ImportBatchSummary)
+  const [activeEntryId, setActiveEntryId] = useState(null); // batch entry being reviewed, mapped or unlocked
+
+  // The running parse: cancel() stops its worker, cancelled stops the file loop
+  const jobRef = useRef({ cancelled: false, cancel: null });
+
+  useEffect(() => {
+    const job = jobRef.current;
+    return () => job.cancel?.();
+  }, []);
+
+  const mappingRows = useMemo(
+    () => mappingRequest ? getRequestRows(mappingRequest, mappingRequest.delimiter) : [],
+    [mappingRequest]
+  );
 
-  const handleFile = useCallback(async (file) => {
-    if (!file) return;
+  const cleanDescriptions = useCallback((transactions) => cleaningRules
+    ? transactions.map(t => ({ ...t, description: getCleanedDescription(t, cleaningRules) }))
+    : transactions, [cleaningRules]);
 
-    // Check file type
-    if (!file.name.endsWith('.tsv') && !file.name.endsWith('.txt')) {
-      setError('Please upload a TSV file (.tsv or .txt)');
+  // Parsed statements go to the staging screen for review before they are saved,
+  // with descriptions cleaned by the user's rules
+  const deliverResult = useCallback((result, fileName) => {
+    if (result.transactions.length === 0) {
+      setError('No valid transactions found in the file');
+      setFailedImport({ fileName, result });
       return;
     }
 
+    setStagedImport({ fileName, result: { ...result, transactions: cleanDescriptions(result.transactions) } });
+  }, [cleanDescriptions]);
+
+  // Parse a text or spreadsheet request; when no header row is found, try the
+  // saved mapping templates and then fall back to the column-mapping step
+  const resolveRequest = useCallback((request) => {
+    try {
+      return { status: 'parsed', result: parseRequest(request) };
+    } catch (err) {
+      if (err.code !== 'HEADER_NOT_FOUND') throw err;
+    }
+
+    for (const template of mappingTemplates) {
+      const match = findMatchingTemplate(getRequestRows(request, template.delimiter), [template]);
+      const result = match && parseRequest(request, match);
+      if (result && result.transactions.length > 0) {
+        return { status: 'parsed', result };
+      }
+    }
+
+    return { status: 'mapping', request: { ...request, delimiter: request.content !== undefined ? '\t' : null } };
+  }, [mappingTemplates]);
+
+  // Parse one file into entries with a status of parsed, mapping, locked or failed:
+  // one entry, or one per statement for OFX/QIF files holding several accounts.
+  // PDFs are read here (pdf.js has its own worker); everything else goes to the
+  // parse worker. Only a cancelled parse throws.
+  const parseFile = useCallback(async (file, encoding, onProgress) => {
+    const entry = { id: `${file.name}_${file.size}_${file.lastModified}`, fileName: file.name, file };
+    const kind = getFileKind(file.name);
+    if (!kind) return [{ ...entry, status: 'failed', error: 'Unsupported file type' }];
+
+    const parsed = (result, details = {}) => result.transactions.length === 0
+      ? { ...entry, ...details, status: 'failed', error: 'No valid transactions found in the file', result }
+      : { ...entry, ...details, status: 'parsed', result };
+
+    try {
+      let outcome;
+      if (kind === 'pdf') {
+        const data = await readFileAsArrayBuffer(file);
+        try {
+          outcome = { status: 'parsed', result: await parsePdfStatement(data) };
+        } catch (err) {
+          if (err.code !== 'PASSWORD_REQUIRED' && err.code !== 'PASSWORD_INCORRECT') throw err;
+          return [{ ...entry, status: 'locked', data }];
+        }
+      } else {
+        const job = parseFileInWorker(file, { kind, encoding, categories }, onProgress);
+        jobRef.current.cancel = job.cancel;
+        const message = await job.promise;
+        if (message.type === 'error') throw new Error(message.message);
+
+        entry.source = message.source;
+        if (message.type === 'results' && message.results.length > 1) {
+          return message.results.map((result, index) => parsed(result, {
+            id: `${entry.id}_${index}`,
+            fileName: `${file.name} · ${describeStatement(result.statement, index)}`
+          }));
+        }
+        outcome = message.type === 'result' || message.type === 'results'
+          ? { status: 'parsed', result: message.result || message.results[0] }
+          : resolveRequest(message.content !== undefined
+            ? { fileName: file.name, content: message.content }
+            : { fileName: file.name, rows: message.rows });
+      }
+
+      return [outcome.status === 'parsed' ? parsed(outcome.result) : { ...entry, ...outcome }];
+    } catch (err) {
+      if (err.code === 'CANCELLED') throw err;
+      return [{ ...entry, status: 'failed', error: err.message || 'Failed to parse the file' }];
+    } finally {
+      jobRef.current.cancel = null;
+    }
+  }, [categories, resolveRequest]);
+
+  // Continue with a parsed entry: review it, map its columns, ask for its password or show why it failed
+  const openEntry = useCallback((entry) => {
+    setError(null);
+    setFailedImport(null);
+
+    if (entry.status === 'parsed') {
+      deliverResult(entry.result, entry.fileName);
+    } else if (entry.status === 'mapping') {
+      setMappingRequest(entry.request);
+    } else if (entry.status === 'locked') {
+      setPassword('');
+      setPasswordPrompt({ fileName: entry.fileName, data: entry.data, incorrect: false });
+    } else if (entry.status === 'failed') {
+      setError(entry.error);
+      if (entry.result) setFailedImport({ fileName: entry.fileName, result: entry.result });
+    }
+  }, [deliverResult]);
+
+  // Files are parsed one after another. A single file goes straight on to review;
+  // several end in a combined summary. Text files are decoded with the detected
+  // encoding unless the user picked one.
+  const handleFiles = useCallback(async (fileList, encoding = 'auto') => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+    if (files.length === 1 && !getFileKind(files[0].name)) {
+      setError(UNSUPPORTED_FILE_MESSAGE);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    setPasswordPrompt(null);
+    setMappingRequest(null);
+    setStagedImport(null);
+    setFailedImport(null);
+    setTextSource(null);
+    setBatch(null);
+    setActiveEntryId(null);
+    jobRef.current = { cancelled: false, cancel: null };
+
+    const entries = [];
+    let filesDone = 0;
+    for (const [index, file] of files.entries()) {
+      setProgress({ fileName: file.name, index, count: files.length, phase: 'reading', done: 0, total: 0 });
+      try {
+        entries.push(...await parseFile(file, encoding, ({ phase, done, total }) => {
+          setProgress(current => ({ ...current, phase, done, total }));
+        }));
+        filesDone++;
+      } catch {
+        break;
+      }
+      if (jobRef.current.cancelled) break;
+    }
+
+    setLoading(false);
+    setProgress(null);
+
+    if (jobRef.current.cancelled) {
+      setError(files.length > 1 && filesDone > 0
+        ? `Import cancelled after ${filesDone} of ${files.length} files`
+        : 'Import cancelled');
+      if (files.length === 1) return;
+    }
+
+    // A single file holding several statements is reviewed like a batch
+    if (entries.length === 1 && files.length === 1) {
+      const [entry] = entries;
+      if (entry.source) setTextSource({ file: entry.file, ...entry.source });
+      openEntry(entry);
+    } else if (entries.length > 0) {
+      setBatch(entries);
+    }
+  }, [parseFile, openEntry]);
+
+  const handleCancelParse = useCallback(() => {
+    jobRef.current.cancelled = true;
+    jobRef.current.cancel?.();
+  }, []);
+
+  const handlePasswordSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    if (!passwordPrompt || !password) return;
+
     setLoading(true);
     setError(null);
 
     try {
-      const content = await readFileAsText(file);
-      const transactions = parseTSV(content);
+      const result = await parsePdfStatement(passwordPrompt.data, password);
+      setPasswordPrompt(null);
+      deliverResult(result, passwordPrompt.fileName);
+    } catch (err) {
+      if (err.code === 'PASSWORD_INCORRECT' || err.code === 'PASSWORD_REQUIRED') {
+        setPasswordPrompt({ ...passwordPrompt, incorrect: true });
+      } else {
+        setPasswordPrompt(null);
+        setError(err.message || 'Failed to parse the file');
+      }
+    } finally {
+      setPassword('');
+      setLoading(false);
+    }
+  }, [passwordPrompt, password, deliverResult]);
+
+  const handlePasswordCancel = useCallback(() => {
+    setPasswordPrompt(null);
+    setPassword('');
+    setActiveEntryId(null);
+  }, []);
+
+  const handleMappingApply = useCallback(({ mapping, templateName }) => {
+    const { delimiter } = mappingRequest;
+    setError(null);
 
-      if (transactions.length === 0) {
-        setError('No valid transactions found in the file');
+    try {
+      const result = parseRequest(mappingRequest, { ...mapping, delimiter, name: templateName || undefined });
+      if (result.transactions.length === 0) {
+        setError('No valid transactions found with this column mapping');
         return;
       }
 
-      onTransactionsLoaded(transactions);
+      if (templateName) {
+        onSaveMappingTemplate?.({
+          id: `template_${Date.now()}`,
+          name: templateName,
+          delimiter,
+          headerIndex: mapping.headerIndex,
+          signature: getLayoutSignature(mappingRows, mapping.headerIndex),
+          columns: mapping.columns
+        });
+      }
+
+      setMappingRequest(null);
+      deliverResult(result, mappingRequest.fileName);
     } catch (err) {
       setError(err.message || 'Failed to parse the file');
-    } finally {
-      setLoading(false);
     }
-  }, [onTransactionsLoaded]);
+  }, [mappingRequest, mappingRows, onSaveMappingTemplate, deliverResult]);
+
+  const handleMappingCancel = useCallback(() => {
+    setMappingRequest(null);
+    setError(null);
+    setActiveEntryId(null);
+  }, []);
+
+  // Within a batch the upload page stays open so the remaining files can be handled
+  const handleStagingCommit = useCallback((result) => {
+    onTransactionsLoaded({ ...result, fileName: stagedImport.fileName }, { stayOnUpload: Boolean(batch) });
+    setStagedImport(null);
+    if (batch) {
+      setBatch(batch.map(entry => entry.id === activeEntryId
+        ? { ...entry, status: 'imported', added: result.transactions.length }
+        : entry));
+      setActiveEntryId(null);
+    }
+  }, [stagedImport, batch, activeEntryId, onTransactionsLoaded]);
+
+  const handleStagingCancel = useCallback(() => {
+    setStagedImport(null);
+    setActiveEntryId(null);
+  }, []);
+
+  const handleBatchOpen = useCallback((entry) => {
+    setActiveEntryId(entry.id);
+    openEntry(entry);
+  }, [openEntry]);
+
+  // Commit every ready file with the staging defaults (duplicates and undated rows
+  // left out), counting transactions from earlier files of the batch as existing
+  const handleBatchImportAll = useCallback(() => {
+    let known = existingTransactions;
+    const added = {};
+
+    batch.filter(entry => entry.status === 'parsed').forEach(entry => {
+      const accountId = getImportAccountId(accounts, entry.result);
+      const transactions = stageTransactions(cleanDescriptions(entry.result.transactions), known, accountId)
+        .filter(row => row.selected)
+        .map(row => row.transaction);
+      if (transactions.length > 0) {
+        onTransactionsLoaded({ ...entry.result, transactions, fileName: entry.fileName }, { stayOnUpload: true });
+        // Tagged with their account so later files of the batch check them the same way
+        known = [...known, ...transactions.map(t => ({ ...t, accountId }))];
+      }
+      added[entry.id] = transactions.length;
+    });
+
+    setBatch(batch.map(entry => entry.id in added ? { ...entry, status: 'imported', added: added[entry.id] } : entry));
+  }, [batch, existingTransactions, accounts, cleanDescriptions, onTransactionsLoaded]);
+
+  const handleBatchClose = useCallback(() => {
+    setBatch(null);
+    setError(null);
+    setFailedImport(null);
+  }, []);
 
   const handleDrop = useCallback((e) => {
     e.preventDefault();
     setIsDragging(false);
-    
-    const file = e.dataTransfer.files[0];
-    handleFile(file);
-  }, [handleFile]);
+    handleFiles(e.dataTransfer.files);
+  }, [handleFiles]);
 
   const handleDragOver = useCallback((e) => {
     e.preventDefault();
@@ -55,48 +398,166 @@ function FileUpload({ onTransactionsLoaded }) {
   }, []);
 
   const handleInputChange = useCallback((e) => {
-    const file = e.target.files[0];
-    handleFile(file);
-  }, [handleFile]);
+    handleFiles(e.target.files);
+  }, [handleFiles]);
+
+  // Pasted tables go through the same pipeline as files: HTML tables as rows,
+  // plain text as tab-separated content
+  const handlePasteImport = useCallback(({ html, text }) => {
+    const fileName = 'Pasted transactions';
+    setError(null);
+    setMappingRequest(null);
+    setStagedImport(null);
+    setFailedImport(null);
+    setTextSource(null);
+    setBatch(null);
+
+    try {
+      const rows = htmlToRows(html);
+      openEntry({ fileName, ...resolveRequest(rows.length >= 2 ? { fileName, rows } : { fileName, content: text }) });
+    } catch (err) {
+      setError(err.message || 'Failed to parse the pasted rows');
+    }
+  }, [openEntry, resolveRequest]);
+
+  const handleEncodingChange = useCallback((encoding) => {
+    if (textSource) handleFiles([textSource.file], encoding || 'auto');
+  }, [textSource, handleFiles]);
+
+  const progressPercent = progress?.total > 0 ? Math.round((progress.done / progress.total) * 100) : 0;
 
   return (
-    <div className="file-upload-container">
+    <div className={`file-upload-container ${stagedImport ? 'staging' : ''}`}>
       {/* Animated Stars Background */}
       <div className="stars-container">
         <div className="stars stars-1"></div>
         <div className="stars stars-2"></div>
         <div className="stars stars-3"></div>
       </div>
+
+      {textSource && !loading && (
+        <div className="encoding-bar">
+          <span>
+            Read {textSource.file.name} as <strong>{getEncodingLabel(textSource.encoding)}</strong>
+            {textSource.detected ? ' (detected)' : ' (chosen)'}. Garbled text? Re-read as
+          </span>
+          <Dropdown
+            value={textSource.detected ? '' : textSource.encoding}
+            onChange={handleEncodingChange}
+            options={TEXT_ENCODINGS.map(e => ({ value: e.id, label: e.label }))}
+            placeholder="Auto-detect"
+            size="small"
+          />
+        </div>
+      )}
       
-      <div
-        className={`drop-zone ${isDragging ? 'dragging' : ''} ${loading ? 'loading' : ''}`}
-        onDrop={handleDrop}
-        onDragOver={handleDragOver}
-        onDragLeave={handleDragLeave}
-      >
-        {loading ? (
-          <div className="loading-spinner">
-            <div className="spinner"></div>
-            <p>Processing file...</p>
-          </div>
-        ) : (
-          <>
-            <div className="upload-icon">📁</div>
-            <h3>Upload Bank Statement</h3>
-            <p>Drag and drop your SBI bank statement (TSV format) here</p>
-            <p className="or-text">or</p>
-            <label className="file-input-label">
+      {stagedImport ? (
+        <ImportStaging
+          key={stagedImport.fileName}
+          fileName={stagedImport.fileName}
+          result={stagedImport.result}
+          existingTransactions={existingTransactions}
+          accounts={accounts}
+          onCommit={handleStagingCommit}
+          onCancel={handleStagingCancel}
+        />
+      ) : mappingRequest ? (
+        <ColumnMapper
+          key={mappingRequest.fileName}
+          fileName={mappingRequest.fileName}
+          rows={mappingRows}
+          delimiter={mappingRequest.delimiter}
+          onDelimiterChange={(delimiter) => setMappingRequest({ ...mappingRequest, delimiter })}
+          templates={mappingTemplates}
+          onApply={handleMappingApply}
+          onCancel={handleMappingCancel}
+        />
+      ) : batch && !passwordPrompt ? (
+        <ImportBatchSummary
+          entries={batch}
+          onOpen={handleBatchOpen}
+          onImportAll={handleBatchImportAll}
+          onClose={handleBatchClose}
+        />
+      ) : (
+        <div
+          className={`drop-zone ${isDragging ? 'dragging' : ''} ${loading ? 'loading' : ''}`}
+          onDrop={handleDrop}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+        >
+          {loading ? (
+            <div className="loading-spinner">
+              <div className="spinner"></div>
+              {progress ? (
+                <div className="parse-progress">
+                  <div className="parse-progress-file">
+                    {progress.count > 1 && `File ${progress.index + 1} of ${progress.count}: `}{progress.fileName}
+                  </div>
+                  <div className="parse-progress-bar">
+                    <div className="parse-progress-fill" style={{ width: `${progressPercent}%` }}></div>
+                  </div>
+                  <div className="parse-progress-phase">
+                    {PHASE_LABELS[progress.phase]}{progress.total > 0 && ` ${progressPercent}%`}
+                  </div>
+                  <button type="button" className="password-cancel" onClick={handleCancelParse}>
+                    Cancel
+                  </button>
+                </div>
+              ) : (
+                <p>Processing file...</p>
+              )}
+            </div>
+          ) : passwordPrompt ? (
+            <form className="password-form" onSubmit={handlePasswordSubmit}>
+              <div className="upload-icon">🔒</div>
+              <h3>{passwordPrompt.fileName} is password protected</h3>
+              <p>SBI e-statement passwords are built from your account details (such as mobile number and date of birth)</p>
               <input
-                type="file"
-                accept=".tsv,.txt"
-                onChange={handleInputChange}
-                className="file-input"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Enter PDF password"
+                className="password-input"
+                autoFocus
               />
-              Browse Files
-            </label>
-          </>
-        )}
-      </div>
+              {passwordPrompt.incorrect && (
+                <p className="password-error">Incorrect password, please try again</p>
+              )}
+              <div className="password-actions">
+                <button type="submit" className="file-input-label" disabled={!password}>
+                  Unlock
+                </button>
+                <button type="button" className="password-cancel" onClick={handlePasswordCancel}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <>
+              <div className="upload-icon">📁</div>
+              <h3>Upload Bank Statement</h3>
+              <p>Drag and drop your bank statements (TSV, Excel, PDF e-statement, OFX or QIF) here, several at once if you like</p>
+              <p className="supported-banks">Supports {getBankFormats().map(f => f.shortName).join(', ')}</p>
+              <p className="or-text">or</p>
+              <label className="file-input-label">
+                <input
+                  type="file"
+                  accept=".tsv,.txt,.xls,.xlsx,.pdf,.ofx,.qfx,.qif"
+                  multiple
+                  onChange={handleInputChange}
+                  className="file-input"
+                />
+                Browse Files
+              </label>
+            </>
+          )}
+        </div>
+      )}
+
+      {!stagedImport && !mappingRequest && !passwordPrompt && !batch && (
+        <PasteImport onImport={handlePasteImport} disabled={loading} />
+      )}
 
       {error && (
         <div className="error-message">
@@ -105,16 +566,26 @@ function FileUpload({ onTransactionsLoaded }) {
         </div>
       )}
 
+      {failedImport && !stagedImport && !mappingRequest && (
+        <ParseReport
+          fileName={failedImport.fileName}
+          format={failedImport.result.format}
+          report={failedImport.result.report}
+        />
+      )}
+
       <div className="upload-help">
-        <h4>How to get your SBI bank statement in TSV format:</h4>
+        <h4>How to get your SBI bank statement:</h4>
         <ol>
           <li>Log in to SBI Internet Banking</li>
           <li>Go to Account Statement</li>
           <li>Select the date range</li>
-          <li>Download as Excel/CSV and save as TSV, or copy-paste into a text file with tab-separated values</li>
+          <li>Download as Excel (.xls/.xlsx) and upload it directly, or save it as TSV / copy-paste into a text file with tab-separated values</li>
+          <li>Monthly PDF e-statements from SBI can be uploaded as-is; you will be asked for the PDF password</li>
         </ol>
         <p className="expected-format">
-          <strong>Expected columns:</strong> Txn Date, Value Date, Description, Ref No./Cheque No., Debit, Credit, Balance
+          <strong>Expected columns (SBI):</strong> Txn Date, Value Date, Description, Ref No./Cheque No., Debit, Credit, Balance. HDFC, ICICI, Axis and Kotak CSV exports and SBI Card statements are detected automatically.
+          OFX/QFX and QIF files from GnuCash, KMyMoney or Money Manager Ex can be imported as well.
         </p>
       </div>
     </div>
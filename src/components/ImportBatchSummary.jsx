@@ -0,0 +1,80 @@
+import './ImportBatchSummary.css';
+
+const STATUS_LABELS = {
+  parsed: 'Ready to review',
+  mapping: 'Needs column mapping',
+  locked: 'Password protected',
+  failed: 'Failed',
+  imported: 'Imported'
+};
+
+const ACTION_LABELS = {
+  parsed: 'Review',
+  mapping: 'Map columns',
+  locked: 'Unlock'
+};
+
+const countErrors = (entry) => entry.result?.report.issues.filter(issue => issue.level === 'error').length || 0;
+
+/**
+ * Combined summary of several statements dropped at once
+ * Each entry is { id, fileName, status, result, error, added }; entries that still
+ * need the user (review, mapping, password) are opened one at a time with onOpen
+ */
+function ImportBatchSummary({ entries, onOpen, onImportAll, onClose }) {
+  const ready = entries.filter(entry => entry.status === 'parsed');
+  const transactionCount = ready.reduce((sum, entry) => sum + entry.result.transactions.length, 0);
+  const skippedRows = entries.reduce((sum, entry) => sum + countErrors(entry), 0);
+  const imported = entries.filter(entry => entry.status === 'imported');
+  const attention = entries.filter(entry => ['mapping', 'locked', 'failed'].includes(entry.status)).length;
+
+  return (
+    <div className="import-batch">
+      <div className="import-batch-header">
+        <div>
+          <h3>{entries.length} statements</h3>
+          <p className="import-batch-totals">
+            {ready.length > 0 && <span>{transactionCount} transactions ready in {ready.length} files</span>}
+            {imported.length > 0 && <span>{imported.reduce((sum, entry) => sum + entry.added, 0)} imported</span>}
+            {skippedRows > 0 && <span className="warning">{skippedRows} rows skipped</span>}
+            {attention > 0 && <span className="warning">{attention} need attention</span>}
+          </p>
+        </div>
+        <div className="import-batch-actions">
+          {ready.length > 0 && (
+            <button className="import-batch-primary" onClick={onImportAll} title="Import every ready file, skipping duplicates">
+              Import all ready
+            </button>
+          )}
+          <button className="import-batch-secondary" onClick={onClose}>
+            {ready.length > 0 || attention > 0 ? 'Close' : 'Done'}
+          </button>
+        </div>
+      </div>
+
+      <ul className="import-batch-list">
+        {entries.map(entry => (
+          <li key={entry.id} className={`import-batch-item ${entry.status}`}>
+            <div className="import-batch-file">
+              <span className="import-batch-name">{entry.fileName}</span>
+              <span className="import-batch-detail">
+                {STATUS_LABELS[entry.status]}
+                {entry.status === 'parsed' && ` · ${entry.result.format.shortName} · ${entry.result.transactions.length} transactions`}
+                {entry.status === 'parsed' && countErrors(entry) > 0 && ` · ${countErrors(entry)} rows skipped`}
+                {entry.status === 'imported' && ` · ${entry.added} transactions`}
+                {entry.status === 'failed' && ` · ${entry.error}`}
+              </span>
+            </div>
+            {ACTION_LABELS[entry.status] && (
+              <button className="import-batch-open" onClick={() => onOpen(entry)}>
+                {ACTION_LABELS[entry.status]}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default ImportBatchSummary;
@@ -0,0 +1,74 @@
+import './ImportHistory.css';
+
+const formatDate = (dateStr) => {
+  if (!dateStr) return '?';
+  return new Date(dateStr).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+  });
+};
+
+const formatBalance = (amount) => `₹${amount.toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+function ImportHistory({ statements = [], accounts = [] }) {
+  if (statements.length === 0) return null;
+
+  const sorted = [...statements].sort((a, b) => b.importedAt.localeCompare(a.importedAt));
+
+  return (
+    <div className="import-history">
+      <h4>Imported Statements</h4>
+      <ul>
+        {sorted.map(statement => {
+          const account = accounts.find(a => a.id === statement.accountId);
+          return (
+            <li key={statement.id} className="import-history-item">
+              <div className="import-account">
+                <span className="import-bank">{account?.bank || statement.bank || 'Bank'}</span>
+                {account?.type === 'credit_card' ? (
+                  <span>💳 Card {account.accountNumber}{account.accountName && ` · ${account.accountName}`}</span>
+                ) : account ? (
+                  <span title={[account.branch, account.ifsc, account.micr && `MICR ${account.micr}`].filter(Boolean).join(' · ')}>
+                    A/c {account.accountNumber}{account.accountName && ` · ${account.accountName}`}
+                  </span>
+                ) : (
+                  <span className="import-unknown">Account not in statement header</span>
+                )}
+              </div>
+              <div className="import-period">
+                {formatDate(statement.periodFrom)} – {formatDate(statement.periodTo)}
+                {statement.openingBalance !== null && (
+                  <span className="import-balance">Opening {formatBalance(statement.openingBalance)}</span>
+                )}
+                {statement.closingBalance !== null && (
+                  <span className="import-balance">Closing {formatBalance(statement.closingBalance)}</span>
+                )}
+                {statement.totalAmountDue != null && (
+                  <span className="import-balance">
+                    Due {formatBalance(statement.totalAmountDue)}
+                    {statement.paymentDueDate && ` by ${formatDate(statement.paymentDueDate)}`}
+                    {statement.minimumAmountDue != null && ` (min ${formatBalance(statement.minimumAmountDue)})`}
+                  </span>
+                )}
+                {statement.rewardPoints != null && (
+                  <span className="import-balance">{statement.rewardPoints.toLocaleString('en-IN')} reward points</span>
+                )}
+              </div>
+              <div className="import-meta">
+                {statement.transactionCount} transactions
+                {statement.fileName && ` from ${statement.fileName}`}
+                {' · '}imported {formatDate(statement.importedAt)}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default ImportHistory;
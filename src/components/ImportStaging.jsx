@@ -0,0 +1,246 @@
+import { useState, useMemo } from 'react';
+import { getImportAccountId, restageForAccount, stageTransactions, summarizeStaged } from '../utils/importStaging';
+import { findBalanceBreaks } from '../utils/balanceCheck';
+import { getAccountLabel } from '../utils/accounts';
+import ParseReport from './ParseReport';
+import Dropdown from './common/Dropdown';
+import './ImportStaging.css';
+
+const formatAmount = (amount) => amount.toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDate = (dateStr) => {
+  if (!dateStr) return '-';
+  return new Date(dateStr).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+  });
+};
+
+function ImportStaging({ fileName, result, existingTransactions = [], accounts = [], onCommit, onCancel }) {
+  const [rows, setRows] = useState(() => stageTransactions(
+    result.transactions,
+    existingTransactions,
+    getImportAccountId(accounts, result)
+  ));
+  const [accountId, setAccountId] = useState(''); // '' = the account the statement header describes
+
+  const { statement } = result;
+  const summary = useMemo(() => summarizeStaged(rows), [rows]);
+  const flagCounts = useMemo(() => ({
+    duplicate: rows.filter(row => row.duplicate).length,
+    invalidDate: rows.filter(row => row.invalidDate).length,
+    zeroAmount: rows.filter(row => row.zeroAmount).length
+  }), [rows]);
+
+  // Balance breaks within the file (and against the opening balance in its header)
+  const balanceBreaks = useMemo(() => findBalanceBreaks(
+    rows.map(row => row.transaction),
+    { openingBalance: statement?.openingBalance ?? null }
+  ), [rows, statement]);
+  const breakRowIds = useMemo(() => new Set(
+    balanceBreaks.flatMap(b => [b.previousId, b.transactionId]).filter(Boolean)
+  ), [balanceBreaks]);
+
+  const allSelected = rows.length > 0 && rows.every(row => row.selected);
+
+  const scrollToRow = (id) => {
+    document.getElementById(`staging-row-${id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
+  const updateRow = (index, updates) => {
+    setRows(rows.map((row, i) => i === index ? { ...row, ...updates } : row));
+  };
+
+  const handleToggleAll = () => {
+    setRows(rows.map(row => ({ ...row, selected: !allSelected })));
+  };
+
+  const handleDateChange = (index, date) => {
+    const row = rows[index];
+    updateRow(index, {
+      transaction: { ...row.transaction, date: date || null },
+      // Fixing a date opts the row back in
+      selected: date ? true : row.selected
+    });
+  };
+
+  // Duplicates are looked for in the account the rows go to
+  const handleAccountChange = (id) => {
+    setAccountId(id);
+    setRows(restageForAccount(rows, existingTransactions, getImportAccountId(accounts, result, id || null)));
+  };
+
+  const handleCommit = () => {
+    onCommit({
+      ...result,
+      transactions: rows.filter(row => row.selected).map(row => row.transaction),
+      accountId: accountId || null
+    });
+  };
+
+  return (
+    <div className="import-staging">
+      <div className="import-staging-header">
+        <h3>Review {fileName}</h3>
+        <p>
+          {rows.length} transactions parsed{result.format ? ` as ${result.format.name}` : ''}.
+          Deselect anything you don't want to import and fix missing dates before committing.
+        </p>
+        {(statement?.accountNumber || statement?.cardNumber || statement?.periodFrom) && (
+          <p className="staging-statement">
+            {statement.accountNumber && `A/c ${statement.accountNumber}`}
+            {statement.cardNumber && `Card ${statement.cardNumber}`}
+            {statement.accountName && ` · ${statement.accountName}`}
+            {statement.periodFrom && ` · ${formatDate(statement.periodFrom)} – ${formatDate(statement.periodTo)}`}
+            {statement.totalAmountDue != null && ` · ₹${formatAmount(statement.totalAmountDue)} due`}
+            {statement.paymentDueDate && ` by ${formatDate(statement.paymentDueDate)}`}
+          </p>
+        )}
+        <div className="staging-account">
+          <label>Account</label>
+          <Dropdown
+            value={accountId}
+            onChange={handleAccountChange}
+            options={accounts.map(account => ({ value: account.id, label: getAccountLabel(account) }))}
+            placeholder="Detect from statement"
+            size="small"
+          />
+        </div>
+        <div className="staging-flags">
+          {flagCounts.duplicate > 0 && (
+            <span className="staging-flag duplicate">{flagCounts.duplicate} likely duplicates</span>
+          )}
+          {flagCounts.invalidDate > 0 && (
+            <span className="staging-flag invalid-date">{flagCounts.invalidDate} unreadable dates</span>
+          )}
+          {flagCounts.zeroAmount > 0 && (
+            <span className="staging-flag zero-amount">{flagCounts.zeroAmount} zero-amount rows</span>
+          )}
+          {balanceBreaks.length > 0 && (
+            <span className="staging-flag balance-break">{balanceBreaks.length} balance breaks</span>
+          )}
+        </div>
+        {balanceBreaks.length > 0 && (
+          <ul className="staging-breaks">
+            {balanceBreaks.map(b => (
+              <li key={b.transactionId}>
+                <button onClick={() => scrollToRow(b.transactionId)} className="staging-break-link">
+                  {formatDate(b.date)}
+                </button>
+                expected ₹{formatAmount(b.expected)}, statement shows ₹{formatAmount(b.actual)}. {b.reason}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <ParseReport fileName={fileName} format={result.format} report={result.report} />
+
+      <div className="staging-summary">
+        <div className="staging-summary-item">
+          <span className="summary-label">Selected</span>
+          <span className="summary-value">{summary.count} of {rows.length}</span>
+        </div>
+        <div className="staging-summary-item">
+          <span className="summary-label">Date span</span>
+          <span className="summary-value">
+            {summary.from ? `${formatDate(summary.from)} – ${formatDate(summary.to)}` : '-'}
+          </span>
+        </div>
+        <div className="staging-summary-item">
+          <span className="summary-label">Debits</span>
+          <span className="summary-value debit">₹{formatAmount(summary.totalDebit)}</span>
+        </div>
+        <div className="staging-summary-item">
+          <span className="summary-label">Credits</span>
+          <span className="summary-value credit">₹{formatAmount(summary.totalCredit)}</span>
+        </div>
+      </div>
+
+      <div className="staging-table-container">
+        <table className="staging-table">
+          <thead>
+            <tr>
+              <th className="select-cell">
+                <input type="checkbox" checked={allSelected} onChange={handleToggleAll} title="Select all" />
+              </th>
+              <th>Date</th>
+              <th>Description</th>
+              <th className="amount-cell">Debit</th>
+              <th className="amount-cell">Credit</th>
+              <th>Flags</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr
+                key={row.transaction.id}
+                id={`staging-row-${row.transaction.id}`}
+                className={`${row.selected ? '' : 'deselected'} ${row.invalidDate ? 'flagged' : ''}`}
+              >
+                <td className="select-cell">
+                  <input
+                    type="checkbox"
+                    checked={row.selected}
+                    onChange={(e) => updateRow(index, { selected: e.target.checked })}
+                  />
+                </td>
+                <td className="date-cell">
+                  {row.invalidDate ? (
+                    <input
+                      type="date"
+                      value={row.transaction.date || ''}
+                      onChange={(e) => handleDateChange(index, e.target.value)}
+                      className="staging-date-input"
+                    />
+                  ) : (
+                    formatDate(row.transaction.date)
+                  )}
+                </td>
+                <td className="description-cell" title={row.transaction.description}>
+                  {row.transaction.description}
+                </td>
+                <td className="amount-cell debit">
+                  {row.transaction.debit ? formatAmount(row.transaction.debit) : ''}
+                </td>
+                <td className="amount-cell credit">
+                  {row.transaction.credit ? formatAmount(row.transaction.credit) : ''}
+                </td>
+                <td className="flags-cell">
+                  {row.duplicate && <span className="staging-flag duplicate">Duplicate</span>}
+                  {row.invalidDate && <span className="staging-flag invalid-date">Date</span>}
+                  {row.zeroAmount && <span className="staging-flag zero-amount">Zero</span>}
+                  {breakRowIds.has(row.transaction.id) && <span className="staging-flag balance-break">Balance</span>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="import-staging-footer">
+        {summary.missingDates > 0 && (
+          <p className="staging-warning">
+            {summary.missingDates} selected rows still have no date. Fix or deselect them to commit.
+          </p>
+        )}
+        <div className="import-staging-actions">
+          <button onClick={onCancel} className="cancel-btn">Cancel</button>
+          <button
+            onClick={handleCommit}
+            className="commit-btn"
+            disabled={summary.count === 0 || summary.missingDates > 0}
+          >
+            Commit {summary.count} Transactions
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportStaging;
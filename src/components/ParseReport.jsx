@@ -0,0 +1,69 @@
+import { useState } from 'react';
+import './ParseReport.css';
+
+const MAX_VISIBLE_ISSUES = 50;
+
+function ParseReport({ fileName, format, report }) {
+  const [expanded, setExpanded] = useState(false);
+
+  if (!report) return null;
+
+  const errors = report.issues.filter(issue => issue.level === 'error').length;
+  const warnings = report.issues.length - errors;
+
+  // Everything needed to spot format drift: detected format, header line and every problem row
+  const handleDownload = () => {
+    const data = {
+      fileName,
+      format,
+      generatedAt: new Date().toISOString(),
+      ...report
+    };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `parse-report-${fileName.replace(/\.[^.]+$/, '')}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className={`parse-report ${errors > 0 ? 'has-errors' : warnings > 0 ? 'has-warnings' : ''}`}>
+      <div className="parse-report-header">
+        <button className="parse-report-toggle" onClick={() => setExpanded(!expanded)}>
+          {expanded ? '▾' : '▸'} Parse report: {report.rowCount} rows read
+          {report.headerLine > 0 && `, header on line ${report.headerLine}`}
+          {errors > 0 && <span className="issue-count error">{errors} skipped</span>}
+          {warnings > 0 && <span className="issue-count warning">{warnings} warnings</span>}
+        </button>
+        <button className="parse-report-download" onClick={handleDownload} title="Download the report to share when the statement format changes">
+          ⬇ Download
+        </button>
+      </div>
+
+      {expanded && (
+        report.issues.length === 0 ? (
+          <p className="parse-report-empty">No problems found</p>
+        ) : (
+          <ul className="parse-report-issues">
+            {report.issues.slice(0, MAX_VISIBLE_ISSUES).map((issue, index) => (
+              <li key={index} className={issue.level}>
+                <span className="issue-line">Line {issue.line}</span>
+                <span className="issue-reason">{issue.reason}</span>
+                <code className="issue-raw" title={issue.raw}>{issue.raw.replace(/\t/g, ' │ ')}</code>
+              </li>
+            ))}
+            {report.issues.length > MAX_VISIBLE_ISSUES && (
+              <li className="parse-report-more">
+                {report.issues.length - MAX_VISIBLE_ISSUES} more in the downloaded report
+              </li>
+            )}
+          </ul>
+        )
+      )}
+    </div>
+  );
+}
+
+export default ParseReport;
@@ -0,0 +1,60 @@
+import { useState } from 'react';
+import './PassphrasePrompt.css';
+
+/**
+ * Full-screen passphrase entry, used to unlock the app and to open encrypted backups
+ * onSubmit(passphrase) may throw; WRONG_PASSPHRASE errors are shown as a retry message
+ */
+function PassphrasePrompt({ title, description, submitLabel = 'Unlock', onSubmit, onCancel }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!passphrase || busy) return;
+
+    setBusy(true);
+    setError(null);
+    try {
+      await onSubmit(passphrase);
+    } catch (err) {
+      setError(err.code === 'WRONG_PASSPHRASE' ? 'Wrong passphrase, please try again' : err.message);
+      setPassphrase('');
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="passphrase-overlay">
+      <form className="passphrase-card" onSubmit={handleSubmit}>
+        <div className="passphrase-icon">🔒</div>
+        <h2>{title}</h2>
+        {description && <p className="passphrase-description">{description}</p>}
+        <input
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          placeholder="Passphrase"
+          className="passphrase-input"
+          autoComplete="current-password"
+          autoFocus
+          disabled={busy}
+        />
+        {error && <p className="passphrase-error">{error}</p>}
+        <div className="passphrase-actions">
+          <button type="submit" className="passphrase-submit" disabled={!passphrase || busy}>
+            {busy ? 'Decrypting...' : submitLabel}
+          </button>
+          {onCancel && (
+            <button type="button" className="passphrase-cancel" onClick={onCancel} disabled={busy}>
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default PassphrasePrompt;
@@ -0,0 +1,58 @@
+import { useState } from 'react';
+import { readClipboard, htmlToRows } from '../utils/pasteParser';
+import './PasteImport.css';
+
+function PasteImport({ onImport, disabled = false }) {
+  const [text, setText] = useState('');
+  const [html, setHtml] = useState('');
+
+  // Keep the HTML version of the clipboard as well, it has the real table cells
+  const handlePaste = (e) => {
+    const clipboard = readClipboard(e.clipboardData);
+    if (!clipboard.html && !clipboard.text) return;
+
+    e.preventDefault();
+    setText(clipboard.text);
+    setHtml(htmlToRows(clipboard.html).length > 0 ? clipboard.html : '');
+  };
+
+  const handleChange = (e) => {
+    setText(e.target.value);
+    setHtml('');
+  };
+
+  const handleImport = () => {
+    onImport({ html, text });
+    setText('');
+    setHtml('');
+  };
+
+  const lineCount = text ? text.trim().split('\n').length : 0;
+
+  return (
+    <div className="paste-import">
+      <h4>Or paste from net banking</h4>
+      <p>
+        Select the transaction table on the SBI account statement page (include the header row), copy it and paste it here.
+      </p>
+      <textarea
+        value={text}
+        onPaste={handlePaste}
+        onChange={handleChange}
+        placeholder="Paste the copied transaction table here"
+        rows={6}
+        spellCheck={false}
+      />
+      <div className="paste-import-actions">
+        <span className="paste-import-info">
+          {lineCount > 0 && `${lineCount} lines${html ? ' · table detected' : ''}`}
+        </span>
+        <button onClick={handleImport} className="file-input-label" disabled={disabled || !text.trim()}>
+          Import pasted rows
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default PasteImport;
@@ -0,0 +1,132 @@
+import { useState } from 'react';
+import Dropdown from './common/Dropdown';
+import './SecuritySettings.css';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const AUTO_LOCK_OPTIONS = [1, 5, 15, 30, 60].map(minutes => ({
+  value: String(minutes),
+  label: minutes === 60 ? 'After 1 hour idle' : `After ${minutes} min idle`
+}));
+
+/**
+ * Passphrase lock settings: turn encryption on or off, change the passphrase
+ * and choose the auto-lock delay
+ */
+function SecuritySettings({ encrypted, autoLockMinutes, onEnable, onDisable, onAutoLockChange, onLock, onClose }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [minutes, setMinutes] = useState(String(autoLockMinutes));
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const validationError = passphrase.length < MIN_PASSPHRASE_LENGTH
+    ? `Use at least ${MIN_PASSPHRASE_LENGTH} characters`
+    : passphrase !== confirmation ? 'The passphrases do not match' : null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (validationError || busy) return;
+
+    setBusy(true);
+    setError(null);
+    try {
+      await onEnable(passphrase, Number(minutes));
+      setPassphrase('');
+      setConfirmation('');
+    } catch (err) {
+      setError(err.message || 'Could not encrypt the data');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDisable = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await onDisable();
+    } catch (err) {
+      setError(err.message || 'Could not remove the passphrase');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleMinutesChange = (value) => {
+    if (!value) return;
+    setMinutes(value);
+    if (encrypted) onAutoLockChange(Number(value));
+  };
+
+  return (
+    <div className="security-overlay" onClick={onClose}>
+      <div className="security-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="security-header">
+          <h2>🔐 Passphrase lock</h2>
+          <button className="security-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        <p className="security-intro">
+          {encrypted
+            ? 'Your data is encrypted in this browser and the app asks for the passphrase when it opens. Backups are encrypted with it too.'
+            : 'Encrypt your transactions in this browser (AES-GCM, key derived from the passphrase with PBKDF2). The app will ask for the passphrase when it opens, and backups will be encrypted.'}
+        </p>
+        {!encrypted && (
+          <p className="security-warning">
+            There is no way to recover the data if you forget the passphrase.
+          </p>
+        )}
+
+        <div className="security-row">
+          <span>Auto-lock</span>
+          <Dropdown
+            value={minutes}
+            onChange={handleMinutesChange}
+            options={AUTO_LOCK_OPTIONS}
+            placeholder=""
+            size="small"
+          />
+        </div>
+
+        <form className="security-form" onSubmit={handleSubmit}>
+          <h3>{encrypted ? 'Change passphrase' : 'Set a passphrase'}</h3>
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            placeholder="New passphrase"
+            autoComplete="new-password"
+            disabled={busy}
+          />
+          <input
+            type="password"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+            placeholder="Repeat passphrase"
+            autoComplete="new-password"
+            disabled={busy}
+          />
+          {passphrase && validationError && <p className="security-hint">{validationError}</p>}
+          {error && <p className="security-error">{error}</p>}
+          <button type="submit" className="security-primary" disabled={Boolean(validationError) || busy}>
+            {busy ? 'Encrypting...' : encrypted ? 'Change passphrase' : 'Turn on encryption'}
+          </button>
+        </form>
+
+        {encrypted && (
+          <div className="security-actions">
+            <button className="security-secondary" onClick={onLock} disabled={busy}>
+              🔒 Lock now
+            </button>
+            <button className="security-secondary danger" onClick={handleDisable} disabled={busy}>
+              Remove passphrase
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SecuritySettings;
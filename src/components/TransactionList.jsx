@@ -1,19 +1,25 @@
 import { useState, useMemo, useEffect } from 'react';
 import TransactionRow from './TransactionRow';
 import TransactionFilters from './common/TransactionFilters';
+import { getTransactionUpi, getUpiSearchText } from '../utils/upiDecoder';
+import { getTransactionChannel, getChannelInfo } from '../utils/channelClassifier';
+import { isTransfer } from '../utils/transfers';
 import './TransactionList.css';
 
-function TransactionList({ transactions, categories, onUpdateTransaction, onDeleteTransaction, initialFilter, onClearFilter }) {
+function TransactionList({ transactions, categories, accounts = [], showAccount = false, auditLog = [], onUpdateTransaction, onDeleteTransaction, onUnpairTransfer, initialFilter, onClearFilter }) {
   const getDefaultFilter = () => ({
     search: '',
     type: 'all',
     category: 'all',
+    upiPayee: 'all',
+    channel: 'all',
     datePreset: 'all',
     fy: '',
     month: '',
     quarter: '',
     dateFrom: '',
-    dateTo: ''
+    dateTo: '',
+    ids: null // Specific transactions, e.g. the rows around a balance break
   });
 
   const [filter, setFilter] = useState(() => {
@@ -40,14 +46,32 @@ function TransactionList({ transactions, categories, onUpdateTransaction, onDele
   const filteredTransactions = useMemo(() => {
     let result = [...transactions];
 
+    // Apply transaction id filter
+    if (filter.ids) {
+      const ids = new Set(filter.ids);
+      result = result.filter(t => ids.has(t.id));
+    }
+
     // Apply search filter
     if (filter.search) {
       const searchLower = filter.search.toLowerCase();
       result = result.filter(t =>
-        t.description.toLowerCase().includes(searchLower)
+        t.description.toLowerCase().includes(searchLower) ||
+        (t.rawDescription || '').toLowerCase().includes(searchLower) ||
+        getUpiSearchText(getTransactionUpi(t)).toLowerCase().includes(searchLower)
       );
     }
 
+    // Apply payment channel filter
+    if (filter.channel && filter.channel !== 'all') {
+      result = result.filter(t => getTransactionChannel(t) === filter.channel);
+    }
+
+    // Apply UPI payee filter
+    if (filter.upiPayee && filter.upiPayee !== 'all') {
+      result = result.filter(t => getTransactionUpi(t)?.payee === filter.upiPayee);
+    }
+
     // Apply type filter
     if (filter.type !== 'all') {
       result = result.filter(t => t.type === filter.type);
@@ -122,13 +146,24 @@ function TransactionList({ transactions, categories, onUpdateTransaction, onDele
     return result;
   }, [transactions, filter, sortBy, sortOrder]);
 
+  // Audit records of each transaction, for the row history panels
+  const auditByTransaction = useMemo(() => {
+    const byTransaction = new Map();
+    auditLog.forEach(record => {
+      if (!byTransaction.has(record.transactionId)) byTransaction.set(record.transactionId, []);
+      byTransaction.get(record.transactionId).push(record);
+    });
+    return byTransaction;
+  }, [auditLog]);
+
+  // Transfers between the user's own accounts are neither income nor expense
   const summary = useMemo(() => {
     const totalCredit = filteredTransactions
-      .filter(t => t.type === 'credit')
+      .filter(t => t.type === 'credit' && !isTransfer(t))
       .reduce((sum, t) => sum + t.credit, 0);
     
     const totalDebit = filteredTransactions
-      .filter(t => t.type === 'debit')
+      .filter(t => t.type === 'debit' && !isTransfer(t))
       .reduce((sum, t) => sum + t.debit, 0);
 
     const uncategorized = filteredTransactions.filter(t => !t.category).length;
@@ -157,6 +192,18 @@ function TransactionList({ transactions, categories, onUpdateTransaction, onDele
   // Get filter description for badge
   const getFilterDescription = () => {
     const parts = [];
+
+    if (filter.ids) {
+      parts.push(`${filter.ids.length} linked transactions`);
+    }
+
+    if (filter.channel && filter.channel !== 'all') {
+      parts.push(getChannelInfo(filter.channel).label);
+    }
+
+    if (filter.upiPayee && filter.upiPayee !== 'all') {
+      parts.push(`UPI: ${filter.upiPayee}`);
+    }
     
     if (filter.category && filter.category !== 'all') {
       const cat = categories.find(c => c.id === filter.category);
@@ -253,8 +300,11 @@ function TransactionList({ transactions, categories, onUpdateTransaction, onDele
                 key={transaction.id}
                 transaction={transaction}
                 categories={categories}
+                account={showAccount ? accounts.find(a => a.id === transaction.accountId) || null : undefined}
+                history={auditByTransaction.get(transaction.id)}
                 onUpdate={onUpdateTransaction}
                 onDelete={onDeleteTransaction}
+                onUnpairTransfer={onUnpairTransfer}
               />
             ))}
           </tbody>
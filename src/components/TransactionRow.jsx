@@ -1,9 +1,16 @@
 import { useState } from 'react';
 import Dropdown from './common/Dropdown';
+import { getTransactionChannel, getChannelInfo } from '../utils/channelClassifier';
+import { isTransfer as isTransferTransaction, isCardBillPayment } from '../utils/transfers';
+import { getAccountLabel } from '../utils/accounts';
+import { getTransactionUpi } from '../utils/upiDecoder';
+import { AUDIT_ACTIONS, describeAuditSource, formatAuditValue, getAuditFieldLabel } from '../utils/auditLog';
 import './TransactionRow.css';
 
-function TransactionRow({ transaction, categories, onUpdate, onDelete }) {
+// account: the account tag shown in the all-accounts view (undefined hides it)
+function TransactionRow({ transaction, categories, account, history = [], onUpdate, onDelete, onUnpairTransfer }) {
   const [isEditing, setIsEditing] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
   const [editData, setEditData] = useState({
     category: transaction.category || '',
     subcategory: transaction.subcategory || '',
@@ -16,12 +23,15 @@ function TransactionRow({ transaction, categories, onUpdate, onDelete }) {
   const editCategory = categories.find(c => c.id === editData.category);
   const editSubcategories = editCategory?.subcategories || [];
   
-  // Check if this is a SWEEP transaction (excluded from expenses/income - internal transfers)
-  const upperDesc = transaction.description?.toUpperCase() || '';
-  const isSweep = upperDesc.includes('SWEEP');
-  // Check if this is a TRANSFER CREDIT (excluded from income)
-  const isTransferCredit = upperDesc.includes('TRANSFER CREDIT') || upperDesc.includes('TRF CREDT');
-  const isTransfer = isSweep || isTransferCredit;
+  // Transfers (sweeps, transfer credits, card bill payments) are excluded from expenses/income
+  const isTransfer = isTransferTransaction(transaction);
+  const card = transaction.card;
+  const upi = getTransactionUpi(transaction);
+
+  const channel = getChannelInfo(getTransactionChannel(transaction));
+  const channelDetails = Object.entries(transaction.channelDetails || {})
+    .map(([key, value]) => `${key}: ${value}`)
+    .join('\n');
 
   const formatDate = (dateStr) => {
     if (!dateStr) return '-';
@@ -41,6 +51,14 @@ function TransactionRow({ transaction, categories, onUpdate, onDelete }) {
     return type === 'credit' ? `+₹${formatted}` : `-₹${formatted}`;
   };
 
+  const formatTime = (iso) => new Date(iso).toLocaleString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
   const handleSave = () => {
     onUpdate(transaction.id, editData);
     setIsEditing(false);
@@ -68,107 +86,195 @@ function TransactionRow({ transaction, categories, onUpdate, onDelete }) {
   };
 
   return (
-    <tr className={`transaction-row ${transaction.type}${isTransfer ? ' sweep-transfer' : ''}`}>
-      <td className="date-cell" title={formatDate(transaction.date)}>{formatDate(transaction.date)}</td>
-      <td className="description-cell" title={transaction.description}>
-        <div className="description-content">
-          <span className="description-text">{transaction.description}</span>
-          {isTransfer && (
-            <span className="transfer-tag">Transfer</span>
+    <>
+      <tr className={`transaction-row ${transaction.type}${isTransfer ? ' sweep-transfer' : ''}`}>
+        <td className="date-cell" title={formatDate(transaction.date)}>{formatDate(transaction.date)}</td>
+        <td
+          className="description-cell"
+          title={transaction.rawDescription && transaction.rawDescription !== transaction.description
+            ? `${transaction.description}\n\nOriginal: ${transaction.rawDescription}`
+            : transaction.description}
+        >
+          <div className="description-content">
+            <span className="description-text">{transaction.description}</span>
+            {channel.id !== 'other' && channel.id !== 'upi' && (
+              <span className="channel-tag" style={{ color: channel.color }} title={channelDetails || channel.label}>
+                {channel.label}
+              </span>
+            )}
+            {isTransfer && (
+              <span
+                className="transfer-tag"
+                title={transaction.transferPairId ? 'Matched with the same amount in another of your accounts' : undefined}
+              >
+                {isCardBillPayment(transaction) ? 'Card bill' : 'Transfer'}
+                {transaction.transferPairId && onUnpairTransfer && (
+                  <button
+                    onClick={() => onUnpairTransfer(transaction)}
+                    className="transfer-unpair"
+                    title="Not a transfer: count both rows as income and spending again"
+                  >
+                    ×
+                  </button>
+                )}
+              </span>
+            )}
+            {account !== undefined && (
+              <span className="account-tag">{getAccountLabel(account)}</span>
+            )}
+            {transaction.notes && (
+              <span className="notes-indicator" title={transaction.notes}>📝</span>
+            )}
+          </div>
+          {upi && (
+            <div className="upi-details">
+              <span className="upi-tag">UPI {upi.direction === 'credit' ? 'from' : 'to'}</span>
+              {upi.payee && <span className="upi-payee">{upi.payee}</span>}
+              {upi.vpa && <span className="upi-vpa">{upi.vpa}</span>}
+              {upi.bank && <span className="upi-bank">{upi.bank}</span>}
+              <span className="upi-ref">Ref {upi.ref}</span>
+            </div>
           )}
-          {transaction.notes && (
-            <span className="notes-indicator" title={transaction.notes}>📝</span>
+          {card && (card.emi || card.last4 || card.rewardPoints > 0) && (
+            <div className="card-details">
+              <span className="card-tag">💳{card.last4 && ` ••${card.last4}`}</span>
+              {card.emi && (
+                <span className="card-emi">
+                  EMI {card.emi.kind}
+                  {card.emi.installment && ` ${card.emi.installment}/${card.emi.installments}`}
+                </span>
+              )}
+              {card.emi && card.merchant && <span className="card-merchant">{card.merchant}</span>}
+              {card.rewardPoints > 0 && <span className="card-points">+{card.rewardPoints} pts</span>}
+            </div>
           )}
-        </div>
-      </td>
-      <td className={`amount-cell ${transaction.type}`} title={formatAmount(transaction.amount, transaction.type)}>
-        {formatAmount(transaction.amount, transaction.type)}
-      </td>
-      <td className="category-cell">
-        {isEditing ? (
-          <div className="category-edit">
-            <Dropdown
-              value={editData.category}
-              onChange={handleCategoryChange}
-              options={categories.map(cat => ({ value: cat.id, label: cat.name }))}
-              placeholder="Select Category"
-              size="small"
-            />
-            
-            {editData.category && editSubcategories.length > 0 && (
+        </td>
+        <td className={`amount-cell ${transaction.type}`} title={formatAmount(transaction.amount, transaction.type)}>
+          {formatAmount(transaction.amount, transaction.type)}
+        </td>
+        <td className="category-cell">
+          {isEditing ? (
+            <div className="category-edit">
               <Dropdown
-                value={editData.subcategory}
-                onChange={(value) => setEditData({ ...editData, subcategory: value })}
-                options={editSubcategories.map(sub => ({ value: sub, label: sub }))}
-                placeholder="Select Subcategory"
+                value={editData.category}
+                onChange={handleCategoryChange}
+                options={categories.map(cat => ({ value: cat.id, label: cat.name }))}
+                placeholder="Select Category"
                 size="small"
               />
-            )}
+              
+              {editData.category && editSubcategories.length > 0 && (
+                <Dropdown
+                  value={editData.subcategory}
+                  onChange={(value) => setEditData({ ...editData, subcategory: value })}
+                  options={editSubcategories.map(sub => ({ value: sub, label: sub }))}
+                  placeholder="Select Subcategory"
+                  size="small"
+                />
+              )}
 
-            <input
-              type="text"
-              placeholder="Add notes..."
-              value={editData.notes}
-              onChange={(e) => setEditData({ ...editData, notes: e.target.value })}
-              className="notes-input"
-            />
+              <input
+                type="text"
+                placeholder="Add notes..."
+                value={editData.notes}
+                onChange={(e) => setEditData({ ...editData, notes: e.target.value })}
+                className="notes-input"
+              />
 
-            <div className="edit-actions">
-              <button onClick={handleSave} className="save-btn">Save</button>
-              <button onClick={handleCancel} className="cancel-btn">Cancel</button>
+              <div className="edit-actions">
+                <button onClick={handleSave} className="save-btn">Save</button>
+                <button onClick={handleCancel} className="cancel-btn">Cancel</button>
+              </div>
             </div>
-          </div>
-        ) : (
-          <div className="category-display">
-            {category ? (
-              <span 
-                className="category-badge"
-                style={{ backgroundColor: category.color }}
+          ) : (
+            <div className="category-display">
+              {category ? (
+                <span 
+                  className="category-badge"
+                  style={{ backgroundColor: category.color }}
+                >
+                  {category.name}
+                  {transaction.subcategory && ` › ${transaction.subcategory}`}
+                </span>
+              ) : (
+                <div className="quick-category">
+                  <span className="uncategorized">Uncategorized</span>
+                  <div className="quick-category-dropdown">
+                    {categories.slice(0, 6).map(cat => (
+                      <button
+                        key={cat.id}
+                        onClick={() => handleQuickCategory(cat.id)}
+                        style={{ borderColor: cat.color }}
+                        className="quick-cat-btn"
+                      >
+                        {cat.name}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </td>
+        <td className="actions-cell">
+          {!isEditing && (
+            <div className="action-buttons">
+              <button 
+                onClick={() => setIsEditing(true)} 
+                className="edit-btn"
+                title="Edit"
               >
-                {category.name}
-                {transaction.subcategory && ` › ${transaction.subcategory}`}
-              </span>
+                ✏️
+              </button>
+              <button
+                onClick={() => setShowHistory(!showHistory)}
+                className={`history-btn ${showHistory ? 'active' : ''}`}
+                title={`Change history (${history.length})`}
+              >
+                🕘
+              </button>
+              <button 
+                onClick={() => onDelete(transaction.id)} 
+                className="delete-btn"
+                title="Delete"
+              >
+                🗑️
+              </button>
+            </div>
+          )}
+        </td>
+      </tr>
+      {showHistory && (
+        <tr className="transaction-history-row">
+          <td colSpan={5}>
+            {history.length === 0 ? (
+              <p className="history-empty">No changes recorded for this transaction yet</p>
             ) : (
-              <div className="quick-category">
-                <span className="uncategorized">Uncategorized</span>
-                <div className="quick-category-dropdown">
-                  {categories.slice(0, 6).map(cat => (
-                    <button
-                      key={cat.id}
-                      onClick={() => handleQuickCategory(cat.id)}
-                      style={{ borderColor: cat.color }}
-                      className="quick-cat-btn"
-                    >
-                      {cat.name}
-                    </button>
-                  ))}
-                </div>
-              </div>
+              <ul className="history-list">
+                {[...history].reverse().map(record => (
+                  <li key={record.id}>
+                    <span className="history-time">{formatTime(record.at)}</span>
+                    <span className={`history-action ${record.action}`}>{AUDIT_ACTIONS[record.action]}</span>
+                    <span className="history-source">{describeAuditSource(record.source)}</span>
+                    {record.changes && (
+                      <span className="history-changes">
+                        {record.changes.map(change => (
+                          <span key={change.field} className="history-change">
+                            {getAuditFieldLabel(change.field)}: {formatAuditValue(change.field, change.from, categories)}
+                            {' → '}
+                            <strong>{formatAuditValue(change.field, change.to, categories)}</strong>
+                          </span>
+                        ))}
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
             )}
-          </div>
-        )}
-      </td>
-      <td className="actions-cell">
-        {!isEditing && (
-          <div className="action-buttons">
-            <button 
-              onClick={() => setIsEditing(true)} 
-              className="edit-btn"
-              title="Edit"
-            >
-              ✏️
-            </button>
-            <button 
-              onClick={() => onDelete(transaction.id)} 
-              className="delete-btn"
-              title="Delete"
-            >
-              🗑️
-            </button>
-          </div>
-        )}
-      </td>
-    </tr>
+          </td>
+        </tr>
+      )}
+    </>
   );
 }
 
@@ -1,5 +1,7 @@
 import { useMemo } from 'react';
 import Dropdown from './Dropdown';
+import { CHANNELS } from '../../utils/channelClassifier';
+import { getTransactionUpi } from '../../utils/upiDecoder';
 import './TransactionFilters.css';
 
 function TransactionFilters({ 
@@ -11,6 +13,8 @@ function TransactionFilters({
   showSearch = true,
   showTypeFilter = true,
   showCategoryFilter = true,
+  showChannelFilter = true,
+  showUpiFilter = true,
   showDateFilter = true,
   compact = false
 }) {
@@ -57,6 +61,18 @@ function TransactionFilters({
     return [...quarters].sort().reverse();
   }, [transactions]);
 
+  // UPI payees, most frequent first
+  const availableUpiPayees = useMemo(() => {
+    const counts = {};
+    transactions.forEach(t => {
+      const payee = getTransactionUpi(t)?.payee;
+      if (payee) {
+        counts[payee] = (counts[payee] || 0) + 1;
+      }
+    });
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+  }, [transactions]);
+
   const formatMonthLabel = (monthStr) => {
     try {
       const [year, month] = monthStr.split('-');
@@ -94,6 +110,8 @@ function TransactionFilters({
     filter.search || 
     filter.type !== 'all' || 
     filter.category !== 'all' ||
+    (filter.channel && filter.channel !== 'all') ||
+    (filter.upiPayee && filter.upiPayee !== 'all') ||
     filter.datePreset !== 'all' ||
     filter.dateFrom ||
     filter.dateTo ||
@@ -237,6 +255,32 @@ function TransactionFilters({
           />
         )}
 
+        {showChannelFilter && (
+          <Dropdown
+            value={filter.channel || 'all'}
+            onChange={(value) => handleChange('channel', value)}
+            options={[
+              { value: 'all', label: 'All Channels' },
+              ...CHANNELS.map(channel => ({ value: channel.id, label: channel.label }))
+            ]}
+            placeholder=""
+            size="small"
+          />
+        )}
+
+        {showUpiFilter && availableUpiPayees.length > 0 && (
+          <Dropdown
+            value={filter.upiPayee || 'all'}
+            onChange={(value) => handleChange('upiPayee', value)}
+            options={[
+              { value: 'all', label: 'All UPI Payees' },
+              ...availableUpiPayees.map(payee => ({ value: payee, label: payee }))
+            ]}
+            placeholder=""
+            size="small"
+          />
+        )}
+
         {hasActiveFilters && (
           <button onClick={onClearFilters} className="clear-filters-btn">
             Clear Filters
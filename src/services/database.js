@@ -0,0 +1,177 @@
+/**
+ * IndexedDB access for the storage service
+ *
+ * Transactions are stored one record per transaction (keyed by id) with indexes
+ * on date, category and account, and the audit log one record per change with
+ * indexes on transaction and time. Every other entity list has its own store with
+ * the list position as key, so rule and category order survives a reload.
+ * Settings and bookkeeping (which lists were ever saved, whether the old
+ * localStorage data was migrated) live in key-value stores.
+ */
+
+const DB_NAME = 'sbi-statement-analyzer';
+const DB_VERSION = 2;
+
+export const STORES = {
+  TRANSACTIONS: 'transactions',
+  CATEGORIES: 'categories',
+  ACCOUNTS: 'accounts',
+  STATEMENTS: 'statements',
+  AUTO_LABEL_RULES: 'autoLabelRules',
+  MAPPING_TEMPLATES: 'mappingTemplates',
+  CLEANING_RULES: 'cleaningRules',
+  SETTINGS: 'settings',
+  AUDIT_LOG: 'auditLog',
+  META: 'meta'
+};
+
+// Stores holding records keyed by their id
+const RECORD_STORES = [STORES.TRANSACTIONS, STORES.AUDIT_LOG];
+
+// Stores holding an ordered list of records
+export const LIST_STORES = [
+  STORES.CATEGORIES,
+  STORES.ACCOUNTS,
+  STORES.STATEMENTS,
+  STORES.AUTO_LABEL_RULES,
+  STORES.MAPPING_TEMPLATES,
+  STORES.CLEANING_RULES
+];
+
+const SETTINGS_KEY = 'app';
+const listSavedKey = (store) => `saved:${store}`;
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function request(idbRequest) {
+  return new Promise((resolve, reject) => {
+    idbRequest.onsuccess = () => resolve(idbRequest.result);
+    idbRequest.onerror = () => reject(idbRequest.error);
+  });
+}
+
+/**
+ * Resolve when a transaction commits; reject with its error (QuotaExceededError
+ * when the browser refuses the space) when it fails or aborts
+ */
+function completion(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('The database transaction was aborted'));
+  });
+}
+
+/**
+ * Open the database, creating the stores and indexes on first use
+ * and the ones added since (version 2: auditLog) when upgrading
+ */
+export function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  }
+
+  const open = indexedDB.open(DB_NAME, DB_VERSION);
+  open.onupgradeneeded = (event) => {
+    const db = open.result;
+
+    if (event.oldVersion < 2) {
+      const auditLog = db.createObjectStore(STORES.AUDIT_LOG, { keyPath: 'id' });
+      auditLog.createIndex('transactionId', 'transactionId');
+      auditLog.createIndex('at', 'at');
+    }
+    if (event.oldVersion >= 1) return;
+
+    const transactions = db.createObjectStore(STORES.TRANSACTIONS, { keyPath: 'id' });
+    transactions.createIndex('date', 'date');
+    transactions.createIndex('category', 'category');
+    transactions.createIndex('accountId', 'accountId');
+
+    LIST_STORES.forEach(store => db.createObjectStore(store));
+    db.createObjectStore(STORES.SETTINGS);
+    db.createObjectStore(STORES.META);
+  };
+  return request(open);
+}
+
+/**
+ * Read every store into plain values
+ * Lists that were never saved come back undefined, so callers can apply defaults
+ */
+export async function readAll(db) {
+  const transaction = db.transaction(Object.values(STORES), 'readonly');
+  const meta = transaction.objectStore(STORES.META);
+
+  const [transactions, auditLog, settings, saved, ...lists] = await Promise.all([
+    request(transaction.objectStore(STORES.TRANSACTIONS).getAll()),
+    request(transaction.objectStore(STORES.AUDIT_LOG).index('at').getAll()),
+    request(transaction.objectStore(STORES.SETTINGS).get(SETTINGS_KEY)),
+    Promise.all(LIST_STORES.map(store => request(meta.get(listSavedKey(store))))),
+    ...LIST_STORES.map(store => request(transaction.objectStore(store).getAll()))
+  ]);
+
+  const data = { transactions, auditLog, settings };
+  LIST_STORES.forEach((store, index) => {
+    data[store] = saved[index] ? lists[index] : undefined;
+  });
+  return data;
+}
+
+/**
+ * Read a bookkeeping value from the meta store
+ */
+export async function readMeta(db, key) {
+  return request(db.transaction(STORES.META, 'readonly').objectStore(STORES.META).get(key));
+}
+
+/**
+ * Write several entities in one database transaction
+ * changes: { transactions | auditLog: { put, delete, replace }, [list store]: items, settings, meta: { key: value } }
+ * A transactions or auditLog change with replace clears the store before putting. A list of
+ * null empties the store as if it was never saved; undefined settings or meta
+ * values are deleted.
+ */
+export function writeChanges(db, changes) {
+  const names = Object.keys(changes).filter(name => name !== 'meta');
+  const storeNames = [...new Set([...names, STORES.META])];
+  const transaction = db.transaction(storeNames, 'readwrite');
+  const meta = transaction.objectStore(STORES.META);
+
+  const done = completion(transaction);
+
+  try {
+    names.forEach(name => {
+      const store = transaction.objectStore(name);
+      const value = changes[name];
+
+      if (RECORD_STORES.includes(name)) {
+        if (value.replace) store.clear();
+        (value.delete || []).forEach(id => store.delete(id));
+        (value.put || []).forEach(record => store.put(record));
+      } else if (name === STORES.SETTINGS) {
+        if (value === undefined) store.delete(SETTINGS_KEY);
+        else store.put(value, SETTINGS_KEY);
+      } else if (value === null) {
+        store.clear();
+        meta.delete(listSavedKey(name));
+      } else {
+        store.clear();
+        value.forEach((item, index) => store.put(item, index));
+        meta.put(true, listSavedKey(name));
+      }
+    });
+
+    Object.entries(changes.meta || {}).forEach(([key, value]) => {
+      if (value === undefined) meta.delete(key);
+      else meta.put(value, key);
+    });
+  } catch (error) {
+    // A record that cannot be stored must not leave the other writes half-committed
+    done.catch(() => {});
+    transaction.abort();
+    return Promise.reject(error);
+  }
+
+  return done;
+}
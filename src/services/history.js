@@ -0,0 +1,250 @@
+/**
+ * Undo/redo history of storage mutations
+ *
+ * Each entry records what one storage mutation changed: transactions as the
+ * records it added and removed plus only the changed fields of edited ones (so
+ * cleaning thousands of descriptions stays small), and the other lists and the
+ * settings as before/after copies. Entries are also kept in session storage,
+ * one key per entry, so the history survives reloading the tab.
+ */
+
+const MAX_ENTRIES = 100;
+const INDEX_KEY = 'sbi_history';
+const entryKey = (id) => `sbi_history_${id}`;
+
+const hasSessionStorage = () => typeof sessionStorage !== 'undefined';
+
+function pick(record, fields) {
+  const values = {};
+  fields.forEach(field => {
+    if (record[field] !== undefined) values[field] = record[field];
+  });
+  return values;
+}
+
+/**
+ * The fields that differ between two versions of a transaction, or null
+ * (nested values such as upi and card details are compared by content)
+ */
+function diffFields(before, after) {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+  if (fields.length === 0) return null;
+  return { id: after.id, fields, before: pick(before, fields), after: pick(after, fields) };
+}
+
+/**
+ * Describe how a transaction list changed: { added, removed, changed } or null
+ */
+export function diffTransactions(before, after) {
+  if (before === after) return null;
+
+  const beforeById = new Map(before.map(t => [t.id, t]));
+  const afterIds = new Set();
+  const added = [];
+  const changed = [];
+
+  after.forEach(t => {
+    afterIds.add(t.id);
+    const previous = beforeById.get(t.id);
+    if (!previous) {
+      added.push(t);
+    } else if (previous !== t) {
+      const change = diffFields(previous, t);
+      if (change) changed.push(change);
+    }
+  });
+  const removed = before.filter(t => !afterIds.has(t.id));
+
+  return added.length > 0 || removed.length > 0 || changed.length > 0 ? { added, removed, changed } : null;
+}
+
+/**
+ * Undo (or redo) a transaction diff, returning the list sorted newest first
+ */
+export function applyTransactionDiff(transactions, diff, undo) {
+  const [add, remove] = undo ? [diff.removed, diff.added] : [diff.added, diff.removed];
+  const removeIds = new Set(remove.map(t => t.id));
+  const changes = new Map(diff.changed.map(change => [change.id, change]));
+
+  const kept = transactions
+    .filter(t => !removeIds.has(t.id))
+    .map(t => {
+      const change = changes.get(t.id);
+      if (!change) return t;
+
+      const values = undo ? change.before : change.after;
+      const updated = { ...t };
+      change.fields.forEach(field => {
+        if (field in values) updated[field] = values[field];
+        else delete updated[field];
+      });
+      return updated;
+    });
+
+  return [...kept, ...add].sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+/**
+ * Linear undo/redo stack: entries before position can be undone, the rest redone
+ */
+export class CommandHistory {
+  constructor() {
+    this.entries = [];
+    this.position = 0;
+    this.persistent = false;
+    this.unsaved = new Set(); // entries too large for session storage
+    this.listeners = new Set();
+  }
+
+  /**
+   * Record a new entry, dropping anything that could still be redone
+   */
+  push(entry) {
+    const dropped = this.entries.slice(this.position);
+    this.entries = [...this.entries.slice(0, this.position), entry];
+    if (this.entries.length > MAX_ENTRIES) {
+      dropped.push(...this.entries.splice(0, this.entries.length - MAX_ENTRIES));
+    }
+    this.position = this.entries.length;
+
+    if (this.persistent) this.saveEntry(entry);
+    this.forget(dropped);
+    this.changed();
+  }
+
+  /**
+   * Take the entry to undo (null when there is none)
+   */
+  takeUndo() {
+    if (this.position === 0) return null;
+    this.position--;
+    this.changed();
+    return this.entries[this.position];
+  }
+
+  /**
+   * Take the entry to redo (null when there is none)
+   */
+  takeRedo() {
+    if (this.position === this.entries.length) return null;
+    this.position++;
+    this.changed();
+    return this.entries[this.position - 1];
+  }
+
+  /**
+   * Labels of the next undo and redo steps, and how many there are
+   */
+  getState() {
+    return {
+      undo: this.entries[this.position - 1]?.label || null,
+      redo: this.entries[this.position]?.label || null,
+      undoCount: this.position,
+      redoCount: this.entries.length - this.position
+    };
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  clear() {
+    this.forget(this.entries);
+    this.entries = [];
+    this.position = 0;
+    this.changed();
+  }
+
+  /**
+   * Turn session storage on (saving the current entries) or off (removing them)
+   */
+  setPersistent(persistent) {
+    if (persistent && !this.persistent) {
+      this.persistent = true;
+      this.entries.forEach(entry => this.saveEntry(entry));
+      this.saveIndex();
+    } else if (!persistent && this.persistent) {
+      this.removeStored();
+      this.persistent = false;
+    }
+  }
+
+  /**
+   * Load the history saved in this tab's session and keep saving to it
+   */
+  restore() {
+    this.persistent = true;
+    if (!hasSessionStorage()) return;
+
+    try {
+      const index = JSON.parse(sessionStorage.getItem(INDEX_KEY) || 'null');
+      if (!index) return;
+      this.entries = index.ids.map(id => {
+        const entry = JSON.parse(sessionStorage.getItem(entryKey(id)));
+        if (!entry) throw new Error(`History entry ${id} is missing`);
+        return entry;
+      });
+      this.position = index.position;
+    } catch (error) {
+      console.error('Error restoring the undo history:', error);
+      this.removeStored();
+      this.entries = [];
+      this.position = 0;
+    }
+    this.changed();
+  }
+
+  saveEntry(entry) {
+    if (!hasSessionStorage()) return;
+    try {
+      sessionStorage.setItem(entryKey(entry.id), JSON.stringify(entry));
+    } catch {
+      // Too large for session storage: it stays undoable until the tab reloads
+      this.unsaved.add(entry.id);
+    }
+  }
+
+  /**
+   * Save which entries survive a reload: only an unbroken run around the
+   * current position, since steps past an unsaved one cannot be replayed
+   */
+  saveIndex() {
+    if (!hasSessionStorage() || !this.persistent) return;
+
+    let start = 0;
+    let end = this.entries.length;
+    this.entries.forEach((entry, index) => {
+      if (!this.unsaved.has(entry.id)) return;
+      if (index < this.position) start = index + 1;
+      else end = Math.min(end, index);
+    });
+
+    const ids = this.entries.slice(start, end).map(entry => entry.id);
+    try {
+      sessionStorage.setItem(INDEX_KEY, JSON.stringify({ ids, position: this.position - start }));
+    } catch (error) {
+      console.error('Error saving the undo history:', error);
+    }
+  }
+
+  forget(entries) {
+    entries.forEach(entry => {
+      this.unsaved.delete(entry.id);
+      if (this.persistent && hasSessionStorage()) sessionStorage.removeItem(entryKey(entry.id));
+    });
+  }
+
+  removeStored() {
+    if (!hasSessionStorage()) return;
+    this.entries.forEach(entry => sessionStorage.removeItem(entryKey(entry.id)));
+    sessionStorage.removeItem(INDEX_KEY);
+  }
+
+  changed() {
+    this.saveIndex();
+    const state = this.getState();
+    this.listeners.forEach(listener => listener(state));
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Versioned shape of the stored data and of JSON backups
+ *
+ * SCHEMA_VERSION goes up whenever a stored field is added or changes meaning,
+ * together with a migration that upgrades data of the previous version. Stored
+ * data and backups both carry their version (backups made before versioning
+ * count as version 1) and are run through every newer migration in order.
+ */
+
+import { ACCOUNT_TYPES, getDefaultAccountName } from '../utils/accounts';
+
+export const SCHEMA_VERSION = 5;
+
+// Entity lists a backup may hold, keyed like the storage stores
+const LIST_KEYS = ['transactions', 'categories', 'autoLabelRules', 'mappingTemplates', 'accounts', 'statements', 'cleaningRules', 'auditLog'];
+
+const mapList = (list, upgrade) => Array.isArray(list) ? list.map(item => isObject(item) ? upgrade(item) : item) : list;
+
+/**
+ * Migrations by the version they upgrade to
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Keep the bank narration as rawDescription next to the cleaned description',
+    migrate: (data) => ({
+      ...data,
+      transactions: mapList(data.transactions, t => ({ ...t, rawDescription: t.rawDescription ?? t.description ?? '' }))
+    })
+  },
+  {
+    version: 3,
+    description: 'Give every account a type now that credit cards are accounts too',
+    migrate: (data) => ({
+      ...data,
+      accounts: mapList(data.accounts, account => ({ ...account, type: account.type || 'savings' }))
+    })
+  },
+  {
+    version: 4,
+    description: 'Keep an audit log of transaction changes (empty for older data)',
+    migrate: (data) => ({ ...data, auditLog: data.auditLog ?? [] })
+  },
+  {
+    version: 5,
+    description: 'Give every account a display name and an opening balance',
+    migrate: (data) => ({
+      ...data,
+      accounts: mapList(data.accounts, account => ({
+        ...account,
+        name: account.name || getDefaultAccountName(account),
+        openingBalance: account.openingBalance ?? null
+      }))
+    })
+  }
+];
+
+/**
+ * Upgrade data saved with an older schema version to the current one
+ */
+export function migrateData(data, fromVersion = 1) {
+  return MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .reduce((upgraded, migration) => migration.migrate(upgraded), data);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+const isString = (value) => typeof value === 'string';
+const isOptionalString = (value) => value === undefined || value === null || typeof value === 'string';
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+/**
+ * Field checks of every entity in the current schema: field -> [test, expectation]
+ */
+const ENTITY_FIELDS = {
+  transactions: {
+    id: [isString, 'a string'],
+    date: [isOptionalString, 'a date string'],
+    description: [isString, 'a string'],
+    rawDescription: [isString, 'a string'],
+    debit: [isNumber, 'a number'],
+    credit: [isNumber, 'a number'],
+    type: [value => value === 'debit' || value === 'credit', '"debit" or "credit"'],
+    category: [isOptionalString, 'a string'],
+    subcategory: [isOptionalString, 'a string']
+  },
+  categories: {
+    id: [isString, 'a string'],
+    name: [isString, 'a string'],
+    subcategories: [value => Array.isArray(value) && value.every(isString), 'a list of names']
+  },
+  autoLabelRules: {
+    keyword: [isString, 'a string'],
+    category: [isString, 'a string']
+  },
+  mappingTemplates: {
+    name: [isString, 'a string'],
+    columns: [isObject, 'an object']
+  },
+  accounts: {
+    id: [isString, 'a string'],
+    name: [isString, 'a string'],
+    type: [value => value in ACCOUNT_TYPES, `one of ${Object.keys(ACCOUNT_TYPES).map(type => `"${type}"`).join(', ')}`],
+    accountNumber: [isString, 'a string'],
+    openingBalance: [value => value === null || isNumber(value), 'a number or null']
+  },
+  statements: {
+    id: [isString, 'a string']
+  },
+  cleaningRules: {
+    pattern: [isString, 'a string']
+  },
+  auditLog: {
+    id: [isString, 'a string'],
+    transactionId: [isString, 'a string'],
+    at: [isString, 'a date string'],
+    action: [value => ['created', 'updated', 'deleted'].includes(value), '"created", "updated" or "deleted"'],
+    source: [isObject, 'an object']
+  }
+};
+
+const MAX_REPORTED_PROBLEMS = 5;
+
+/**
+ * List what does not match the current schema in a backup (empty when valid)
+ * Each problem names the entry, like "transactions[12].debit must be a number"
+ */
+export function findSchemaProblems(data) {
+  const problems = [];
+
+  LIST_KEYS.forEach(key => {
+    if (data[key] === undefined) return;
+    if (!Array.isArray(data[key])) {
+      problems.push(`${key} must be a list`);
+      return;
+    }
+
+    data[key].forEach((item, index) => {
+      if (!isObject(item)) {
+        problems.push(`${key}[${index}] must be an object`);
+        return;
+      }
+      Object.entries(ENTITY_FIELDS[key]).forEach(([field, [test, expectation]]) => {
+        if (!test(item[field])) problems.push(`${key}[${index}].${field} must be ${expectation}`);
+      });
+    });
+  });
+
+  if (data.settings !== undefined && !isObject(data.settings)) {
+    problems.push('settings must be an object');
+  }
+  return problems;
+}
+
+/**
+ * Read a parsed JSON backup: check its version, upgrade it and validate it
+ * Returns the backup in the current schema; throws an error with code
+ * INVALID_BACKUP and a message saying what is wrong otherwise
+ */
+export function parseBackup(data) {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_BACKUP';
+    throw error;
+  };
+
+  if (!isObject(data) || (data.transactions === undefined && data.categories === undefined)) {
+    fail('Invalid backup file: no transactions or categories found');
+  }
+
+  const version = data.schemaVersion ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    fail(`Invalid backup file: unknown schema version "${data.schemaVersion}"`);
+  }
+  if (version > SCHEMA_VERSION) {
+    fail(`This backup was made by a newer version of the app (schema ${version}); this version reads up to schema ${SCHEMA_VERSION}`);
+  }
+
+  const backup = { ...migrateData(data, version), schemaVersion: SCHEMA_VERSION };
+  const problems = findSchemaProblems(backup);
+  if (problems.length > 0) {
+    const more = problems.length > MAX_REPORTED_PROBLEMS ? ` (and ${problems.length - MAX_REPORTED_PROBLEMS} more)` : '';
+    fail(`Invalid backup file: ${problems.slice(0, MAX_REPORTED_PROBLEMS).join('; ')}${more}`);
+  }
+  return backup;
+}
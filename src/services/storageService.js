@@ -1,8 +1,67 @@
-const STORAGE_KEYS = {
-  TRANSACTIONS: 'sbi_transactions',
-  CATEGORIES: 'sbi_categories',
-  SETTINGS: 'sbi_settings',
-  AUTO_LABEL_RULES: 'sbi_auto_label_rules'
+import { getTransactionIdentities } from '../utils/transactionIdentity';
+import { findStatementAccount, getDefaultAccountName, getStatementAccountNumber, withCardNumber } from '../utils/accounts';
+import { DEFAULT_CLEANING_RULES, getCleanedDescription } from '../utils/narrationCleaning';
+import { applyAutoLabelRules as labelTransactions } from '../utils/autoLabel';
+import { STORES, LIST_STORES, openDatabase, readAll, readMeta, writeChanges } from './database';
+import { SCHEMA_VERSION, migrateData, parseBackup } from './schema';
+import { CommandHistory, diffTransactions, applyTransactionDiff } from './history';
+import { createAuditRecords } from '../utils/auditLog';
+import { planBackupMerge, mergeTransactions } from '../utils/backupMerge';
+import { createKdfParams, deriveKey, encryptJSON, decryptJSON, encryptBackup, decryptBackup } from '../utils/encryption';
+
+// localStorage keys used before the data moved to IndexedDB, by the store they migrate to
+const LEGACY_STORAGE_KEYS = {
+  [STORES.TRANSACTIONS]: 'sbi_transactions',
+  [STORES.CATEGORIES]: 'sbi_categories',
+  [STORES.SETTINGS]: 'sbi_settings',
+  [STORES.AUTO_LABEL_RULES]: 'sbi_auto_label_rules',
+  [STORES.MAPPING_TEMPLATES]: 'sbi_mapping_templates',
+  [STORES.ACCOUNTS]: 'sbi_accounts',
+  [STORES.STATEMENTS]: 'sbi_statements',
+  [STORES.CLEANING_RULES]: 'sbi_cleaning_rules'
+};
+
+const MIGRATED_KEY = 'localStorageMigratedAt';
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+// With a passphrase set, all data is one encrypted vault record: per-entity
+// records and their indexes would expose dates, amounts and categories
+const ENCRYPTION_KEY = 'encryption';
+const VAULT_KEY = 'vault';
+
+export const DEFAULT_AUTO_LOCK_MINUTES = 5;
+
+const DEFAULT_SETTINGS = { theme: 'light', currency: '₹' };
+
+// Every method that changes data, with the undo/redo label it is recorded under
+// and the audit log source of the transaction changes it makes
+const TRACKED_MUTATIONS = {
+  saveTransactions: { label: 'Save transactions', source: 'manual' },
+  addTransactions: { label: 'Add transactions', source: 'import' },
+  updateTransaction: { label: 'Edit transaction', source: 'manual' },
+  deleteTransaction: { label: 'Delete transaction', source: 'manual' },
+  unpairTransfer: { label: 'Unpair transfer', source: 'manual' },
+  clearTransactions: { label: 'Clear all data', source: 'manual' },
+  saveAccounts: { label: 'Edit accounts', source: 'manual' },
+  addAccount: { label: 'Add account', source: 'manual' },
+  updateAccount: { label: 'Edit account', source: 'manual' },
+  deleteAccount: { label: 'Delete account', source: 'manual' },
+  saveStatements: { label: 'Edit statements', source: 'manual' },
+  findOrCreateAccount: { label: 'Add account', source: 'manual' },
+  importStatement: { label: 'Import statement', source: 'import' },
+  saveCategories: { label: 'Edit categories', source: 'manual' },
+  addCategory: { label: 'Add category', source: 'manual' },
+  updateCategory: { label: 'Edit category', source: 'manual' },
+  addSubcategory: { label: 'Add subcategory', source: 'manual' },
+  saveSettings: { label: 'Change settings', source: 'manual' },
+  saveAutoLabelRules: { label: 'Edit auto-label rules', source: 'manual' },
+  applyAutoLabelRules: { label: 'Apply auto-label rules', source: 'rule' },
+  saveMappingTemplates: { label: 'Edit mapping templates', source: 'manual' },
+  addMappingTemplate: { label: 'Save mapping template', source: 'manual' },
+  importData: { label: 'Restore backup', source: 'backup' },
+  mergeData: { label: 'Merge backup', source: 'backup' },
+  saveCleaningRules: { label: 'Edit cleaning rules', source: 'manual' },
+  updateCleaningRules: { label: 'Edit cleaning rules', source: 'clean' },
+  cleanAllDescriptions: { label: 'Clean descriptions', source: 'clean' }
 };
 
 /**
@@ -90,50 +149,542 @@ const DEFAULT_CATEGORIES = [
 ];
 
 /**
- * Storage Service - handles all local storage operations
+ * Storage Service - handles all data storage
+ *
+ * Data is loaded from IndexedDB once by init() and kept in memory, so reads and
+ * saves stay synchronous. Every save is written to the database in the
+ * background, in order; writes that fail (for example when the browser is out
+ * of storage quota) are reported to the onError listeners.
+ *
+ * With a passphrase lock the data is encrypted at rest (see utils/encryption)
+ * and stays unavailable until unlock() is called with the passphrase.
+ *
+ * Each call of a mutation (see TRACKED_MUTATIONS) is one undo/redo step,
+ * including the saves it makes internally (see services/history), and the
+ * transaction changes it makes are appended to the audit log (see utils/auditLog).
  */
 class StorageService {
+  constructor() {
+    this.db = null;
+    this.data = { transactions: [], auditLog: [] };
+    // Transactions as last written, so a save only writes the ones that changed
+    this.persistedTransactions = new Map();
+    this.rewriteTransactions = false;
+    this.writes = Promise.resolve();
+    this.errorListeners = new Set();
+    this.unreportedErrors = [];
+    this.encryption = null; // { kdf, autoLockMinutes } when a passphrase is set
+    this.key = null; // AES key while unlocked
+    this.vaultWritePending = false;
+    this.history = new CommandHistory();
+    this.tracking = false; // inside a mutation or an undo/redo
+    this.auditContext = null; // source of the running mutation's transaction changes
+    this.auditListeners = new Set();
+  }
+
   /**
-   * Get all transactions
+   * Open the database and load all data, migrating localStorage data from older versions first
+   * Encrypted data is not loaded; the service starts locked (see unlock)
+   * Never rejects: when the database cannot be opened the app runs on unsaved data
+   * and the problem is reported to the error listeners
    */
-  getTransactions() {
+  async init() {
     try {
-      const data = localStorage.getItem(STORAGE_KEYS.TRANSACTIONS);
-      return data ? JSON.parse(data) : [];
+      this.db = await openDatabase();
+      if (!(await readMeta(this.db, MIGRATED_KEY))) {
+        await this.migrateLocalStorage();
+      }
+
+      this.encryption = (await readMeta(this.db, ENCRYPTION_KEY)) || null;
+      if (this.encryption) return;
+
+      this.data = await this.upgradeStoredData(await readAll(this.db));
+      // Newest first, the order addTransactions keeps
+      this.data.transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
+      this.persistedTransactions = new Map(this.data.transactions.map(t => [t.id, t]));
+      // The undo history of this tab, unless the data is encrypted (it would be stored in plain text)
+      this.history.restore();
     } catch (error) {
-      console.error('Error reading transactions:', error);
-      return [];
+      console.error('Error opening the database:', error);
+      this.db = null;
+      this.reportError(`Could not open the browser database (${error.message}). Changes made now will not be saved.`);
+    }
+  }
+
+  /**
+   * Run the schema migrations over data stored by an older version and write the result back
+   * Data from a newer version is left untouched
+   */
+  async upgradeStoredData(data) {
+    // Data stored before versioning (including migrated localStorage data) is version 1
+    const version = (await readMeta(this.db, SCHEMA_VERSION_KEY)) ?? 1;
+    if (version === SCHEMA_VERSION) return data;
+    if (version > SCHEMA_VERSION) {
+      this.reportError(`Your data was saved by a newer version of the app (schema ${version}). Update the app before making changes.`);
+      return data;
+    }
+
+    const upgraded = migrateData(data, version);
+    const changes = {
+      [STORES.TRANSACTIONS]: { put: upgraded.transactions, replace: true },
+      meta: { [SCHEMA_VERSION_KEY]: SCHEMA_VERSION }
+    };
+    LIST_STORES.forEach(store => {
+      if (upgraded[store]) changes[store] = upgraded[store];
+    });
+    await writeChanges(this.db, changes);
+    return upgraded;
+  }
+
+  /**
+   * Copy the sbi_* localStorage keys into the database
+   * The keys are removed only after the copy is committed; unreadable ones are left in place
+   */
+  async migrateLocalStorage() {
+    const changes = { meta: { [MIGRATED_KEY]: new Date().toISOString() } };
+    const migratedKeys = [];
+
+    Object.entries(LEGACY_STORAGE_KEYS).forEach(([store, key]) => {
+      const data = localStorage.getItem(key);
+      if (data === null) return;
+
+      try {
+        const value = JSON.parse(data);
+        if (store !== STORES.SETTINGS && !Array.isArray(value)) {
+          throw new Error('expected a list');
+        }
+        changes[store] = store === STORES.TRANSACTIONS ? { put: value } : value;
+        migratedKeys.push(key);
+      } catch (error) {
+        console.error(`Error migrating ${key}:`, error);
+      }
+    });
+
+    await writeChanges(this.db, changes);
+    migratedKeys.forEach(key => localStorage.removeItem(key));
+  }
+
+  /**
+   * Subscribe to storage errors (messages meant for the user)
+   * Errors raised before anyone subscribed are delivered to the first listener
+   * Returns an unsubscribe function
+   */
+  onError(listener) {
+    this.errorListeners.add(listener);
+    this.unreportedErrors.splice(0).forEach(message => listener(message));
+    return () => this.errorListeners.delete(listener);
+  }
+
+  reportError(message) {
+    if (this.errorListeners.size === 0) {
+      this.unreportedErrors.push(message);
+    }
+    this.errorListeners.forEach(listener => listener(message));
+  }
+
+  /**
+   * Run a database write after the ones already pending, reporting failures
+   */
+  enqueue(write, label, onFailure) {
+    if (!this.db) return;
+
+    const db = this.db;
+    this.writes = this.writes
+      .then(() => write(db))
+      .catch(error => {
+        console.error(`Error saving ${label}:`, error);
+        onFailure?.();
+        this.reportError(error?.name === 'QuotaExceededError'
+          ? `Browser storage is full, so your latest ${label} changes were not saved. Export a backup and delete data you no longer need.`
+          : `Could not save ${label} changes: ${error?.message || 'unknown error'}`);
+      });
+  }
+
+  /**
+   * Write changed entities (or the encrypted vault when a passphrase is set)
+   */
+  persist(changes, label) {
+    if (this.encryption) {
+      this.persistVault(label);
+      return;
     }
+
+    this.enqueue(db => writeChanges(db, changes), label, () => {
+      // The database no longer matches what was last written, so start over next time
+      if (changes[STORES.TRANSACTIONS]) {
+        this.rewriteTransactions = true;
+      }
+    });
+  }
+
+  /**
+   * Re-encrypt all data into the vault
+   * Saves made while a vault write is still queued are included in that write
+   */
+  persistVault(label) {
+    if (!this.key || this.vaultWritePending) return;
+
+    const key = this.key;
+    this.vaultWritePending = true;
+    this.enqueue(async db => {
+      this.vaultWritePending = false;
+      // Locked in the meantime: the data in memory is gone and must not overwrite the vault
+      if (this.key !== key) return;
+      await writeChanges(db, { meta: { [VAULT_KEY]: await encryptJSON(key, this.snapshot()) } });
+    }, label);
+  }
+
+  /**
+   * All data in memory, tagged with the schema version
+   */
+  snapshot() {
+    return { ...this.data, schemaVersion: SCHEMA_VERSION };
+  }
+
+  /**
+   * Whether a passphrase lock is set
+   */
+  isEncrypted() {
+    return Boolean(this.encryption);
+  }
+
+  /**
+   * Whether the data is encrypted and has not been unlocked yet
+   */
+  isLocked() {
+    return Boolean(this.encryption) && !this.key;
+  }
+
+  getAutoLockMinutes() {
+    return this.encryption?.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES;
+  }
+
+  /**
+   * Decrypt and load the data with the passphrase
+   * Throws an error with code WRONG_PASSPHRASE when it does not match
+   */
+  async unlock(passphrase) {
+    const key = await deriveKey(passphrase, this.encryption.kdf);
+    const stored = await decryptJSON(key, await readMeta(this.db, VAULT_KEY));
+
+    const version = stored.schemaVersion ?? 1;
+    if (version > SCHEMA_VERSION) {
+      this.reportError(`Your data was saved by a newer version of the app (schema ${version}). Update the app before making changes.`);
+    }
+    const data = version < SCHEMA_VERSION ? migrateData(stored, version) : stored;
+    delete data.schemaVersion;
+
+    this.key = key;
+    this.data = { ...data, transactions: data.transactions || [], auditLog: data.auditLog || [] };
+    this.data.transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
+    this.persistedTransactions = new Map(this.data.transactions.map(t => [t.id, t]));
+    if (version < SCHEMA_VERSION) {
+      this.persistVault('upgraded data');
+    }
+  }
+
+  /**
+   * Forget the key and the decrypted data once pending writes are saved
+   */
+  async lock() {
+    if (!this.encryption) return;
+    await this.flush();
+    this.key = null;
+    this.data = { transactions: [], auditLog: [] };
+    this.persistedTransactions = new Map();
+    this.history.clear();
+  }
+
+  /**
+   * Set (or change) the passphrase: the data is encrypted into the vault and
+   * the plain records are removed in the same database transaction
+   */
+  async enableEncryption(passphrase, autoLockMinutes = this.getAutoLockMinutes()) {
+    if (!this.db) {
+      throw new Error('Encryption needs the browser database, which could not be opened');
+    }
+    await this.flush();
+
+    const encryption = { kdf: createKdfParams(), autoLockMinutes };
+    const key = await deriveKey(passphrase, encryption.kdf);
+    const vault = await encryptJSON(key, this.snapshot());
+
+    const changes = {
+      [STORES.TRANSACTIONS]: { replace: true },
+      [STORES.AUDIT_LOG]: { replace: true },
+      [STORES.SETTINGS]: undefined,
+      meta: { [ENCRYPTION_KEY]: encryption, [VAULT_KEY]: vault, [SCHEMA_VERSION_KEY]: undefined }
+    };
+    LIST_STORES.forEach(store => {
+      changes[store] = null;
+    });
+    await writeChanges(this.db, changes);
+
+    this.encryption = encryption;
+    this.key = key;
+    this.history.setPersistent(false);
+  }
+
+  /**
+   * Remove the passphrase and store the data unencrypted again
+   */
+  async disableEncryption() {
+    if (!this.encryption) return;
+    await this.flush();
+
+    const changes = {
+      [STORES.TRANSACTIONS]: { put: this.data.transactions, replace: true },
+      [STORES.AUDIT_LOG]: { put: this.data.auditLog, replace: true },
+      [STORES.SETTINGS]: this.data.settings,
+      meta: { [ENCRYPTION_KEY]: undefined, [VAULT_KEY]: undefined, [SCHEMA_VERSION_KEY]: SCHEMA_VERSION }
+    };
+    LIST_STORES.forEach(store => {
+      changes[store] = this.data[store] ?? null;
+    });
+    await writeChanges(this.db, changes);
+
+    this.encryption = null;
+    this.key = null;
+    this.history.setPersistent(true);
+  }
+
+  /**
+   * Change how long the app may sit idle before it locks
+   */
+  setAutoLockMinutes(minutes) {
+    if (!this.encryption) return;
+    this.encryption = { ...this.encryption, autoLockMinutes: minutes };
+    const encryption = this.encryption;
+    this.enqueue(db => writeChanges(db, { meta: { [ENCRYPTION_KEY]: encryption } }), 'auto-lock');
+  }
+
+  /**
+   * Resolve once every queued write has finished
+   */
+  flush() {
+    return this.writes;
+  }
+
+  /**
+   * Run a mutation as one undo step; saves made inside it join that step
+   */
+  track({ label, source }, mutate) {
+    if (this.tracking) return mutate();
+
+    this.tracking = true;
+    this.auditContext = { source: { type: source, label }, rules: null };
+    const before = this.captureState();
+    try {
+      return mutate();
+    } finally {
+      this.tracking = false;
+      const transactions = diffTransactions(before.transactions, this.data.transactions);
+      if (transactions) {
+        this.appendAuditLog(createAuditRecords(transactions, this.auditContext.source, { rules: this.auditContext.rules }));
+      }
+      this.auditContext = null;
+
+      const entry = this.createHistoryEntry(label, before, transactions);
+      if (entry) this.history.push(entry);
+    }
+  }
+
+  /**
+   * Add details (like the imported file) to the audit source of the running mutation
+   */
+  describeAuditSource(details) {
+    if (this.auditContext) {
+      this.auditContext.source = { ...this.auditContext.source, ...details };
+    }
+  }
+
+  /**
+   * References to the current data (saves replace rather than modify them)
+   */
+  captureState() {
+    const state = { transactions: this.data.transactions, settings: this.data.settings };
+    LIST_STORES.forEach(store => {
+      state[store] = this.data[store];
+    });
+    return state;
+  }
+
+  /**
+   * What changed since captureState() (transactions already diffed), or null when nothing did
+   */
+  createHistoryEntry(label, before, transactions) {
+    const entry = {
+      id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      label,
+      at: new Date().toISOString(),
+      stores: {}
+    };
+    let changed = false;
+
+    if (transactions) {
+      entry.transactions = transactions;
+      changed = true;
+    }
+    [...LIST_STORES, STORES.SETTINGS].forEach(store => {
+      const after = this.data[store];
+      if (after === before[store] || JSON.stringify(after) === JSON.stringify(before[store])) return;
+      entry.stores[store] = { before: before[store], after };
+      changed = true;
+    });
+
+    return changed ? entry : null;
+  }
+
+  /**
+   * Labels of the next undo and redo steps ({ undo, redo, undoCount, redoCount })
+   */
+  getHistoryState() {
+    return this.history.getState();
+  }
+
+  /**
+   * Subscribe to undo/redo availability changes; returns an unsubscribe function
+   */
+  onHistoryChange(listener) {
+    return this.history.subscribe(listener);
+  }
+
+  /**
+   * Revert the latest change; returns its label, or null when there is nothing to undo
+   */
+  undo() {
+    const entry = this.history.takeUndo();
+    if (!entry) return null;
+    this.replay(entry, true);
+    return entry.label;
+  }
+
+  /**
+   * Re-apply the latest undone change; returns its label, or null when there is nothing to redo
+   */
+  redo() {
+    const entry = this.history.takeRedo();
+    if (!entry) return null;
+    this.replay(entry, false);
+    return entry.label;
+  }
+
+  replay(entry, undo) {
+    this.tracking = true;
+    try {
+      if (entry.transactions) {
+        this.saveTransactions(applyTransactionDiff(this.data.transactions, entry.transactions, undo));
+        const source = { type: undo ? 'undo' : 'redo', label: entry.label };
+        this.appendAuditLog(createAuditRecords(entry.transactions, source, { undo }));
+      }
+      Object.entries(entry.stores).forEach(([store, change]) => {
+        const value = undo ? change.before : change.after;
+        // undefined: the list was never saved, so the default comes back
+        this.data[store] = value === undefined ? undefined : structuredClone(value);
+        const cleared = store === STORES.SETTINGS ? undefined : null;
+        this.persist({ [store]: this.data[store] ?? cleared }, undo ? 'undo' : 'redo');
+      });
+    } finally {
+      this.tracking = false;
+    }
+  }
+
+  /**
+   * Get the audit log of transaction changes, oldest first
+   */
+  getAuditLog() {
+    return [...this.data.auditLog];
+  }
+
+  /**
+   * Subscribe to new audit log records; returns an unsubscribe function
+   */
+  onAuditLogChange(listener) {
+    this.auditListeners.add(listener);
+    return () => this.auditListeners.delete(listener);
+  }
+
+  /**
+   * Append audit records (the log is never rewritten by undo/redo)
+   */
+  appendAuditLog(records) {
+    if (records.length === 0) return;
+    this.data.auditLog = this.data.auditLog.concat(records);
+    this.persist({ [STORES.AUDIT_LOG]: { put: records } }, 'audit log');
+    this.auditListeners.forEach(listener => listener());
+  }
+
+  /**
+   * Get a copy of a stored list (the fallback when it was never saved)
+   */
+  getList(store, fallback = []) {
+    return structuredClone(this.data[store] ?? fallback);
+  }
+
+  /**
+   * Replace a stored list
+   */
+  saveList(store, items, label) {
+    this.data[store] = structuredClone(items);
+    this.persist({ [store]: this.data[store] }, label);
+    return true;
+  }
+
+  /**
+   * Get all transactions
+   */
+  getTransactions() {
+    return [...this.data.transactions];
   }
 
   /**
    * Save transactions
+   * Only transactions that were added, replaced or removed since the last save are written
    */
   saveTransactions(transactions) {
-    try {
-      localStorage.setItem(STORAGE_KEYS.TRANSACTIONS, JSON.stringify(transactions));
-      return true;
-    } catch (error) {
-      console.error('Error saving transactions:', error);
-      return false;
+    const replace = this.rewriteTransactions;
+    const ids = new Set(transactions.map(t => t.id));
+    const put = replace ? transactions : transactions.filter(t => this.persistedTransactions.get(t.id) !== t);
+    const removed = replace ? [] : [...this.persistedTransactions.keys()].filter(id => !ids.has(id));
+
+    this.data.transactions = [...transactions];
+    this.persistedTransactions = new Map(transactions.map(t => [t.id, t]));
+    this.rewriteTransactions = false;
+
+    if (replace || put.length > 0 || removed.length > 0) {
+      this.persist({ [STORES.TRANSACTIONS]: { put, delete: removed, replace } }, 'transaction');
     }
+    return true;
   }
 
   /**
    * Add new transactions (merge with existing, avoid duplicates)
+   * Duplicates are looked for within the transaction's account (and among
+   * transactions without one), so equal rows in two accounts are both kept
    */
   addTransactions(newTransactions) {
     const existing = this.getTransactions();
-    const existingIds = new Set(existing.map(t => t.id));
-    
-    // Create a signature for each existing transaction to detect duplicates
-    const existingSignatures = new Set(
-      existing.map(t => `${t.date}_${t.description}_${t.amount}`)
-    );
 
-    const uniqueNew = newTransactions.filter(t => {
-      const signature = `${t.date}_${t.description}_${t.amount}`;
-      return !existingIds.has(t.id) && !existingSignatures.has(signature);
+    // Transaction IDs are derived from the row content (date, reference, amounts, balance),
+    // so a re-imported row has the same ID even after its description was cleaned
+    const identitiesByAccount = new Map();
+    const identitiesOf = (accountId) => {
+      if (!identitiesByAccount.has(accountId)) {
+        identitiesByAccount.set(accountId, getTransactionIdentities(accountId === null
+          ? existing
+          : existing.filter(t => !t.accountId || t.accountId === accountId)));
+      }
+      return identitiesByAccount.get(accountId);
+    };
+    const usedIds = new Set(existing.map(t => t.id));
+
+    const uniqueNew = [];
+    newTransactions.forEach(t => {
+      if (identitiesOf(t.accountId || null).has(t.id)) return;
+      // The same row content in another account still needs an ID of its own
+      const id = usedIds.has(t.id) ? `${t.id}_${t.accountId}` : t.id;
+      usedIds.add(id);
+      uniqueNew.push(id === t.id ? t : { ...t, id });
     });
 
     const merged = [...existing, ...uniqueNew];
@@ -160,6 +711,20 @@ class StorageService {
     return true;
   }
 
+  /**
+   * Stop matching two transactions as a transfer between the user's accounts
+   * (see matchTransferPairs), so both count as income and spending again
+   */
+  unpairTransfer(id, partnerId) {
+    const ids = new Set([id, partnerId]);
+    const transactions = this.getTransactions();
+    if (!transactions.some(t => ids.has(t.id))) {
+      return false;
+    }
+    this.saveTransactions(transactions.map(t => ids.has(t.id) ? { ...t, transferUnpaired: true } : t));
+    return true;
+  }
+
   /**
    * Delete a transaction
    */
@@ -171,36 +736,183 @@ class StorageService {
   }
 
   /**
-   * Clear all transactions
+   * Clear all transactions (and the statement records they were imported with)
    */
   clearTransactions() {
-    localStorage.removeItem(STORAGE_KEYS.TRANSACTIONS);
+    this.saveTransactions([]);
+    this.saveStatements([]);
+  }
+
+  /**
+   * Get accounts (bank account details read from statement headers)
+   */
+  getAccounts() {
+    return this.getList(STORES.ACCOUNTS);
+  }
+
+  /**
+   * Save accounts
+   */
+  saveAccounts(accounts) {
+    return this.saveList(STORES.ACCOUNTS, accounts, 'account');
+  }
+
+  /**
+   * Add an account created by hand
+   */
+  addAccount(details) {
+    const account = {
+      id: `acct_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      type: 'savings',
+      bank: '',
+      accountName: '',
+      accountNumber: '',
+      branch: '',
+      ifsc: '',
+      micr: '',
+      openingBalance: null,
+      ...details,
+      createdAt: new Date().toISOString()
+    };
+    account.name = account.name || getDefaultAccountName(account);
+    this.saveAccounts([...this.getAccounts(), account]);
+    return account;
+  }
+
+  /**
+   * Update an account's details
+   */
+  updateAccount(id, updates) {
+    const accounts = this.getAccounts();
+    if (!accounts.some(a => a.id === id)) {
+      return false;
+    }
+    this.saveAccounts(accounts.map(a => a.id === id ? { ...a, ...updates } : a));
+    return true;
+  }
+
+  /**
+   * Delete an account that no transaction or statement belongs to
+   */
+  deleteAccount(id) {
+    if (this.data.transactions.some(t => t.accountId === id) || this.getStatements().some(s => s.accountId === id)) {
+      throw new Error('This account still has transactions. Delete or move them first.');
+    }
+    const accounts = this.getAccounts();
+    const remaining = accounts.filter(a => a.id !== id);
+    this.saveAccounts(remaining);
+    return remaining.length < accounts.length;
+  }
+
+  /**
+   * Get statement records (one per import: account, period and balances)
+   */
+  getStatements() {
+    return this.getList(STORES.STATEMENTS);
+  }
+
+  /**
+   * Save statement records
+   */
+  saveStatements(statements) {
+    return this.saveList(STORES.STATEMENTS, statements, 'statement');
+  }
+
+  /**
+   * Find the account a statement header describes (see findStatementAccount),
+   * creating it on first import
+   * Returns null when the header had no account or card number
+   */
+  findOrCreateAccount(metadata = {}, format = null) {
+    const type = format?.accountType || 'savings';
+    const accountNumber = getStatementAccountNumber(metadata, format);
+    if (!accountNumber) return null;
+
+    const accounts = this.getAccounts();
+    const existing = findStatementAccount(accounts, metadata, format);
+
+    if (existing) {
+      // Fill in details a previous statement did not have
+      const updated = { ...existing };
+      ['accountName', 'branch', 'ifsc', 'micr'].forEach(field => {
+        if (!updated[field] && metadata[field]) updated[field] = metadata[field];
+      });
+      this.saveAccounts(accounts.map(a => a.id === existing.id ? updated : a));
+      return updated;
+    }
+
+    const account = {
+      id: `acct_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      type,
+      bank: format?.shortName || '',
+      accountName: metadata.accountName || '',
+      accountNumber,
+      branch: metadata.branch || '',
+      ifsc: metadata.ifsc || '',
+      micr: metadata.micr || '',
+      openingBalance: metadata.openingBalance ?? null,
+      createdAt: new Date().toISOString()
+    };
+    account.name = getDefaultAccountName(account);
+    this.saveAccounts([...accounts, account]);
+    return account;
+  }
+
+  /**
+   * Import parsed statement transactions together with their account and statement records
+   * Every transaction is linked to the statement (statementId) and account (accountId):
+   * the one chosen by accountId, otherwise the one the statement header describes
+   */
+  importStatement(newTransactions, { statement: metadata = {}, format = null, fileName = '', accountId = null } = {}) {
+    const isCard = format?.accountType === 'credit_card';
+    metadata = withCardNumber(metadata, format, newTransactions);
+
+    const account = accountId
+      ? this.getAccounts().find(a => a.id === accountId) || null
+      : this.findOrCreateAccount(metadata, format);
+    const dates = newTransactions.map(t => t.date).filter(Boolean).sort();
+
+    const statement = {
+      id: `stmt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      accountId: account?.id || null,
+      bank: format?.shortName || '',
+      fileName,
+      // Fall back to the transaction dates when the header did not print a period
+      periodFrom: metadata.periodFrom || dates[0] || null,
+      periodTo: metadata.periodTo || dates[dates.length - 1] || null,
+      openingBalance: metadata.openingBalance ?? null,
+      closingBalance: metadata.closingBalance ?? null,
+      ...(isCard && {
+        paymentDueDate: metadata.paymentDueDate || null,
+        totalAmountDue: metadata.totalAmountDue ?? null,
+        minimumAmountDue: metadata.minimumAmountDue ?? null,
+        creditLimit: metadata.creditLimit ?? null,
+        rewardPoints: metadata.rewardPoints ?? null
+      }),
+      importedAt: new Date().toISOString()
+    };
+
+    this.describeAuditSource({ statementId: statement.id, fileName });
+    const result = this.addTransactions(
+      newTransactions.map(t => ({ ...t, statementId: statement.id, accountId: statement.accountId }))
+    );
+
+    this.saveStatements([...this.getStatements(), { ...statement, transactionCount: result.added }]);
+    return { ...result, account, statement };
   }
 
   /**
    * Get categories
    */
   getCategories() {
-    try {
-      const data = localStorage.getItem(STORAGE_KEYS.CATEGORIES);
-      return data ? JSON.parse(data) : DEFAULT_CATEGORIES;
-    } catch (error) {
-      console.error('Error reading categories:', error);
-      return DEFAULT_CATEGORIES;
-    }
+    return this.getList(STORES.CATEGORIES, DEFAULT_CATEGORIES);
   }
 
   /**
    * Save categories
    */
   saveCategories(categories) {
-    try {
-      localStorage.setItem(STORAGE_KEYS.CATEGORIES, JSON.stringify(categories));
-      return true;
-    } catch (error) {
-      console.error('Error saving categories:', error);
-      return false;
-    }
+    return this.saveList(STORES.CATEGORIES, categories, 'category');
   }
 
   /**
@@ -251,79 +963,65 @@ class StorageService {
    * Get settings
    */
   getSettings() {
-    try {
-      const data = localStorage.getItem(STORAGE_KEYS.SETTINGS);
-      return data ? JSON.parse(data) : { theme: 'light', currency: '₹' };
-    } catch (error) {
-      return { theme: 'light', currency: '₹' };
-    }
+    return { ...(this.data.settings || DEFAULT_SETTINGS) };
   }
 
   /**
    * Save settings
    */
   saveSettings(settings) {
-    localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
+    this.data.settings = { ...settings };
+    this.persist({ [STORES.SETTINGS]: this.data.settings }, 'settings');
   }
 
   /**
    * Get auto-label rules
    */
   getAutoLabelRules() {
-    try {
-      const data = localStorage.getItem(STORAGE_KEYS.AUTO_LABEL_RULES);
-      return data ? JSON.parse(data) : [];
-    } catch (error) {
-      console.error('Error reading auto-label rules:', error);
-      return [];
-    }
+    return this.getList(STORES.AUTO_LABEL_RULES);
   }
 
   /**
    * Save auto-label rules
    */
   saveAutoLabelRules(rules) {
-    try {
-      localStorage.setItem(STORAGE_KEYS.AUTO_LABEL_RULES, JSON.stringify(rules));
-      return true;
-    } catch (error) {
-      console.error('Error saving auto-label rules:', error);
-      return false;
-    }
+    return this.saveList(STORES.AUTO_LABEL_RULES, rules, 'auto-label rule');
   }
 
   /**
-   * Apply auto-label rules to transactions
+   * Apply auto-label rules to transactions and save them when any were labeled
    */
   applyAutoLabelRules(transactions, rules) {
-    let labelsApplied = 0;
-    
-    const updated = transactions.map(t => {
-      // Skip already categorized transactions
-      if (t.category) return t;
-      
-      const description = t.description?.toUpperCase() || '';
-      
-      for (const rule of rules) {
-        const keyword = rule.keyword?.toUpperCase() || '';
-        if (keyword && description.includes(keyword)) {
-          labelsApplied++;
-          return {
-            ...t,
-            category: rule.category,
-            subcategory: rule.subcategory || ''
-          };
-        }
-      }
-      
-      return t;
-    });
-    
-    if (labelsApplied > 0) {
-      this.saveTransactions(updated);
+    const result = labelTransactions(transactions, rules);
+    if (this.auditContext) this.auditContext.rules = result.matchedRules;
+    if (result.labelsApplied > 0) {
+      this.saveTransactions(result.updated);
     }
-    
-    return { updated, labelsApplied };
+    return result;
+  }
+
+  /**
+   * Get saved column-mapping templates
+   */
+  getMappingTemplates() {
+    return this.getList(STORES.MAPPING_TEMPLATES);
+  }
+
+  /**
+   * Save column-mapping templates
+   */
+  saveMappingTemplates(templates) {
+    return this.saveList(STORES.MAPPING_TEMPLATES, templates, 'mapping template');
+  }
+
+  /**
+   * Add a mapping template (replaces an existing template with the same name)
+   */
+  addMappingTemplate(template) {
+    const templates = this.getMappingTemplates().filter(t => t.name !== template.name);
+    templates.push(template);
+    this.saveMappingTemplates(templates);
+    return templates;
   }
 
   /**
@@ -331,18 +1029,48 @@ class StorageService {
    */
   exportData() {
     return {
+      schemaVersion: SCHEMA_VERSION,
       transactions: this.getTransactions(),
       categories: this.getCategories(),
       autoLabelRules: this.getAutoLabelRules(),
+      mappingTemplates: this.getMappingTemplates(),
+      accounts: this.getAccounts(),
+      statements: this.getStatements(),
+      cleaningRules: this.getCleaningRules(),
       settings: this.getSettings(),
+      auditLog: this.getAuditLog(),
       exportedAt: new Date().toISOString()
     };
   }
 
   /**
-   * Import data
+   * Backup file contents: encrypted with the app passphrase when one is set
+   */
+  async createBackup() {
+    const backup = this.exportData();
+    return this.key ? encryptBackup(backup, this.key, this.encryption.kdf) : backup;
+  }
+
+  /**
+   * Decrypt an encrypted backup file
+   * Backups made with the current passphrase open without asking; others need
+   * their passphrase (error code PASSPHRASE_REQUIRED when none is given)
+   */
+  async decryptBackup(file, passphrase = null) {
+    if (passphrase) return decryptBackup(file, passphrase);
+    if (this.key && file.kdf?.salt === this.encryption.kdf.salt) return decryptJSON(this.key, file);
+
+    const error = new Error('This backup is encrypted. Enter the passphrase it was made with.');
+    error.code = 'PASSPHRASE_REQUIRED';
+    throw error;
+  }
+
+  /**
+   * Import a JSON backup, replacing the data it contains (the audit log is merged)
+   * Older backups are upgraded first; malformed ones throw (see parseBackup)
    */
-  importData(data) {
+  importData(backupData) {
+    const data = parseBackup(backupData);
     if (data.transactions) {
       this.saveTransactions(data.transactions);
     }
@@ -352,60 +1080,113 @@ class StorageService {
     if (data.autoLabelRules) {
       this.saveAutoLabelRules(data.autoLabelRules);
     }
+    if (data.mappingTemplates) {
+      this.saveMappingTemplates(data.mappingTemplates);
+    }
+    if (data.accounts) {
+      this.saveAccounts(data.accounts);
+    }
+    if (data.statements) {
+      this.saveStatements(data.statements);
+    }
+    if (data.cleaningRules) {
+      this.saveCleaningRules(data.cleaningRules);
+    }
     if (data.settings) {
       this.saveSettings(data.settings);
     }
+    if (data.auditLog) {
+      this.mergeAuditLog(data.auditLog);
+    }
+  }
+
+  /**
+   * Work out how a JSON backup would merge into the current data (see utils/backupMerge)
+   * Malformed backups throw like importData
+   */
+  planMerge(backupData) {
+    return planBackupMerge(this.exportData(), parseBackup(backupData));
+  }
+
+  /**
+   * Merge a backup as planned by planMerge, resolving transaction conflicts
+   * with resolutions ({ [conflict id]: 'mine' | 'theirs' | { [field]: 'mine' | 'theirs' } })
+   */
+  mergeData(plan, resolutions = {}) {
+    this.saveTransactions(mergeTransactions(this.getTransactions(), plan, resolutions));
+    if (plan.categories.added > 0 || plan.categories.subcategoriesAdded > 0) {
+      this.saveCategories(plan.categories.merged);
+    }
+    if (plan.accounts.added > 0) this.saveAccounts(plan.accounts.merged);
+    if (plan.statements.added > 0) this.saveStatements(plan.statements.merged);
+    if (plan.autoLabelRules.added > 0) this.saveAutoLabelRules(plan.autoLabelRules.merged);
+    if (plan.cleaningRules.added > 0) this.saveCleaningRules(plan.cleaningRules.merged);
+    if (plan.mappingTemplates.added > 0) this.saveMappingTemplates(plan.mappingTemplates.merged);
+    this.mergeAuditLog(plan.auditLog);
+  }
+
+  /**
+   * Add the audit records of a backup that are not in the log yet (the log only grows)
+   */
+  mergeAuditLog(records) {
+    const known = new Set(this.data.auditLog.map(record => record.id));
+    this.appendAuditLog(records.filter(record => !known.has(record.id)));
+  }
+
+  /**
+   * Get description cleaning rules (find/replace regex pipeline)
+   */
+  getCleaningRules() {
+    return this.getList(STORES.CLEANING_RULES, DEFAULT_CLEANING_RULES);
+  }
+
+  /**
+   * Save description cleaning rules
+   */
+  saveCleaningRules(rules) {
+    return this.saveList(STORES.CLEANING_RULES, rules, 'cleaning rule');
   }
 
   /**
-   * Clean up all transaction descriptions by removing UPI noise patterns
+   * Save the cleaning rules and re-clean every description with them, as one
+   * undo step so the rules and the descriptions never disagree
    */
-  cleanAllDescriptions() {
+  updateCleaningRules(rules) {
+    this.saveCleaningRules(rules);
+    return this.cleanAllDescriptions(rules);
+  }
+
+  /**
+   * Re-derive every description from its raw narration with the cleaning rules
+   * Transactions saved before raw narrations were kept get their current
+   * description stored as the raw text first, so later runs start from it
+   */
+  cleanAllDescriptions(rules = this.getCleaningRules()) {
     const transactions = this.getTransactions();
     let cleaned = 0;
 
     const updatedTransactions = transactions.map(t => {
-      const originalDesc = t.description || '';
-      const cleanedDesc = this.cleanDescription(originalDesc);
-      
-      if (cleanedDesc !== originalDesc) {
+      const rawDescription = t.rawDescription ?? t.description ?? '';
+      const description = getCleanedDescription({ ...t, rawDescription }, rules);
+
+      if (description !== t.description) {
         cleaned++;
-        return { ...t, description: cleanedDesc };
       }
-      return t;
+      return { ...t, rawDescription, description };
     });
 
-    if (cleaned > 0) {
-      this.saveTransactions(updatedTransactions);
-    }
+    this.saveTransactions(updatedTransactions);
 
     return { cleaned, total: transactions.length };
   }
-
-  /**
-   * Clean up description by removing unnecessary patterns
-   */
-  cleanDescription(description) {
-    if (!description) return '';
-    
-    let cleaned = description;
-    
-    // Remove UPI transfer patterns like "TO TRANSFER-UPI/DR/50991133328/"
-    cleaned = cleaned.replace(/TO TRANSFER-UPI\/[A-Z]+\/\d+\//gi, '');
-    cleaned = cleaned.replace(/BY TRANSFER-UPI\/[A-Z]+\/\d+\//gi, '');
-    
-    // Remove common SBI noise patterns
-    cleaned = cleaned.replace(/UPI\/DR\/\d+\//gi, '');
-    cleaned = cleaned.replace(/UPI\/CR\/\d+\//gi, '');
-    cleaned = cleaned.replace(/\/DR\/\d+\//gi, '');
-    cleaned = cleaned.replace(/\/CR\/\d+\//gi, '');
-    
-    // Clean up multiple spaces and trim
-    cleaned = cleaned.replace(/\s+/g, ' ').trim();
-    
-    return cleaned;
-  }
 }
 
+Object.entries(TRACKED_MUTATIONS).forEach(([method, mutation]) => {
+  const mutate = StorageService.prototype[method];
+  StorageService.prototype[method] = function (...args) {
+    return this.track(mutation, () => mutate.apply(this, args));
+  };
+});
+
 export const storageService = new StorageService();
 export { DEFAULT_CATEGORIES };
@@ -0,0 +1,73 @@
+/**
+ * Account display helpers
+ *
+ * An account is { id, name, type, bank, accountName (holder), accountNumber,
+ * branch, ifsc, micr, openingBalance, createdAt }. Bank statements fill in the
+ * header details; name and openingBalance are the user's own.
+ */
+
+export const ACCOUNT_TYPES = {
+  savings: 'Savings',
+  salary: 'Salary',
+  current: 'Current',
+  joint: 'Joint',
+  credit_card: 'Credit card'
+};
+
+/**
+ * Show only the last 4 digits of an account or card number, e.g. "••1234"
+ */
+export function maskAccountNumber(number) {
+  const digits = String(number || '').replace(/[^0-9A-Z]/gi, '');
+  return digits ? `••${digits.slice(-4)}` : '';
+}
+
+/**
+ * Name for an account when the user has not given it one, e.g. "SBI Savings ••1234"
+ */
+export function getDefaultAccountName(account) {
+  return [account.bank, ACCOUNT_TYPES[account.type] || account.type, maskAccountNumber(account.accountNumber)]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Label shown in switchers and tags
+ */
+export function getAccountLabel(account) {
+  if (!account) return 'No account';
+  return account.name || getDefaultAccountName(account);
+}
+
+/**
+ * Fill in the card number of a card statement without a header from its rows
+ * (card exports still name the card on every row)
+ */
+export function withCardNumber(metadata = {}, format = null, transactions = []) {
+  if (format?.accountType !== 'credit_card' || metadata.cardNumber) return metadata;
+  const last4 = transactions.find(t => t.card?.last4)?.card.last4;
+  return last4 ? { ...metadata, cardNumber: `XXXX XXXX XXXX ${last4}` } : metadata;
+}
+
+/**
+ * Get the account or card number a statement header names ('' when none)
+ */
+export function getStatementAccountNumber(metadata = {}, format = null) {
+  return (format?.accountType === 'credit_card' ? metadata.cardNumber : metadata.accountNumber) || '';
+}
+
+/**
+ * Find the stored account a statement header describes (null when none matches)
+ * Accounts are matched by account number (and IFSC when both sides have one);
+ * credit cards by the last 4 digits, as statements mask the rest differently
+ */
+export function findStatementAccount(accounts, metadata = {}, format = null) {
+  const accountNumber = getStatementAccountNumber(metadata, format);
+  if (!accountNumber) return null;
+
+  return accounts.find(a => format?.accountType === 'credit_card'
+    ? a.type === 'credit_card' && a.accountNumber.slice(-4) === accountNumber.slice(-4)
+    : a.type !== 'credit_card' && a.accountNumber === accountNumber &&
+      (!a.ifsc || !metadata.ifsc || a.ifsc === metadata.ifsc)
+  ) || null;
+}
@@ -0,0 +1,96 @@
+/**
+ * Audit trail of transaction changes
+ *
+ * Every change to a transaction becomes one record:
+ *   { id, transactionId, at, action: 'created' | 'updated' | 'deleted',
+ *     source: { type, label, ruleId?, ruleKeyword?, statementId?, fileName? },
+ *     changes: [{ field, from, to }] (updated only),
+ *     summary: { date, description, amount, type } (created and deleted only) }
+ * Records are built from the diff the undo history keeps (see services/history).
+ */
+
+export const AUDIT_SOURCES = {
+  manual: 'Manual edit',
+  import: 'Import',
+  rule: 'Auto-label rule',
+  clean: 'Description cleaning',
+  backup: 'Backup restore',
+  undo: 'Undo',
+  redo: 'Redo'
+};
+
+export const AUDIT_ACTIONS = {
+  created: 'Created',
+  updated: 'Updated',
+  deleted: 'Deleted'
+};
+
+const summarize = (t) => ({ date: t.date, description: t.description, amount: t.amount, type: t.type });
+
+/**
+ * Audit records for a transaction diff ({ added, removed, changed })
+ * undo: the diff is being reverted, so additions become deletions and old values come back
+ * rules: transaction id -> the auto-label rule that changed it
+ */
+export function createAuditRecords(diff, source, { undo = false, rules = null } = {}) {
+  const at = new Date().toISOString();
+  const batch = `audit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const records = [];
+  const record = (transactionId, action, details) => {
+    const rule = rules?.get(transactionId);
+    records.push({
+      id: `${batch}_${String(records.length).padStart(6, '0')}`,
+      transactionId,
+      at,
+      action,
+      source: rule ? { ...source, ruleId: rule.id, ruleKeyword: rule.keyword } : source,
+      ...details
+    });
+  };
+
+  const [created, deleted] = undo ? [diff.removed, diff.added] : [diff.added, diff.removed];
+  created.forEach(t => record(t.id, 'created', { summary: summarize(t) }));
+  diff.changed.forEach(change => {
+    const [from, to] = undo ? [change.after, change.before] : [change.before, change.after];
+    record(change.id, 'updated', {
+      changes: change.fields.map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }))
+    });
+  });
+  deleted.forEach(t => record(t.id, 'deleted', { summary: summarize(t) }));
+
+  return records;
+}
+
+/**
+ * Short description of where a change came from, e.g. "Auto-label rule "SWIGGY""
+ */
+export function describeAuditSource(source) {
+  const type = AUDIT_SOURCES[source.type] || source.type;
+  if (source.type === 'rule' && source.ruleKeyword) return `${type} "${source.ruleKeyword}"`;
+  if (source.type === 'import' && source.fileName) return `${type} of ${source.fileName}`;
+  if (source.type === 'undo' || source.type === 'redo') return `${type} of ${source.label}`;
+  return type;
+}
+
+const FIELD_LABELS = {
+  category: 'Category',
+  subcategory: 'Subcategory',
+  notes: 'Notes',
+  description: 'Description',
+  rawDescription: 'Original narration',
+  accountId: 'Account',
+  statementId: 'Statement',
+  transferUnpaired: 'Transfer unpaired'
+};
+
+export const getAuditFieldLabel = (field) => FIELD_LABELS[field] || field;
+
+/**
+ * Display text for a changed value (category ids are shown by name)
+ */
+export function formatAuditValue(field, value, categories = []) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'category') return categories.find(c => c.id === value)?.name || value;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
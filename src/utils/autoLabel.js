@@ -0,0 +1,53 @@
+/**
+ * Auto-label rules: keyword → category matching
+ *
+ * A rule is { id, keyword, category, subcategory }. The first rule whose
+ * keyword appears in the description (case-insensitively) labels the
+ * transaction; transactions that already have a category are left alone.
+ */
+
+/**
+ * Apply auto-label rules to transactions
+ * Returns { updated, labelsApplied, matchedRules } without saving anything,
+ * where matchedRules maps each labeled transaction's id to the rule that labeled it
+ */
+export function applyAutoLabelRules(transactions, rules) {
+  let labelsApplied = 0;
+  const matchedRules = new Map();
+
+  const updated = transactions.map(t => {
+    // Skip already categorized transactions
+    if (t.category) return t;
+
+    const description = t.description?.toUpperCase() || '';
+
+    for (const rule of rules) {
+      const keyword = rule.keyword?.toUpperCase() || '';
+      if (keyword && description.includes(keyword)) {
+        labelsApplied++;
+        matchedRules.set(t.id, rule);
+        return {
+          ...t,
+          category: rule.category,
+          subcategory: rule.subcategory || ''
+        };
+      }
+    }
+
+    return t;
+  });
+
+  return { updated, labelsApplied, matchedRules };
+}
+
+/**
+ * Read rules from an exported rules file (AutoLabelManager's { version, rules })
+ * or a plain array of rules
+ */
+export function readAutoLabelRules(data) {
+  const rules = Array.isArray(data) ? data : data?.rules;
+  if (!Array.isArray(rules)) {
+    throw new Error('Invalid rules file: expected an array of rules or { rules: [...] }');
+  }
+  return rules.filter(rule => rule.keyword && rule.category);
+}
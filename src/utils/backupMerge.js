@@ -0,0 +1,195 @@
+/**
+ * Merging a backup into the current data instead of replacing it
+ *
+ * Transactions are matched by identity (see transactionIdentity) within their
+ * account, like imports are: ones only in the backup are added, and matched ones whose fields differ become conflicts
+ * to resolve. Categories are united by id or name together with their
+ * subcategories; rules, templates, accounts and statements are added unless an
+ * equal one exists. Settings stay as they are.
+ */
+
+import { assignTransactionIds, mapTransactionIdentities } from './transactionIdentity.js';
+
+// Fields that link a transaction to the import that created it rather than describe it
+const LINK_FIELDS = ['id', 'statementId', 'accountId'];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+const normalize = (text) => (text || '').trim().toUpperCase();
+
+/**
+ * Add the items whose key is not taken yet
+ */
+function unionBy(mine, theirs, keyOf) {
+  const keys = new Set(mine.map(keyOf));
+  const added = theirs.filter(item => {
+    const key = keyOf(item);
+    if (keys.has(key)) return false;
+    keys.add(key);
+    return true;
+  });
+  return { merged: [...mine, ...added], added: added.length };
+}
+
+/**
+ * Unite categories by id, or by name when the ids differ, adding missing subcategories
+ * idMap tells which of my category ids each backup category ended up as
+ */
+function mergeCategories(mine, theirs) {
+  const merged = mine.map(category => ({ ...category, subcategories: [...(category.subcategories || [])] }));
+  const idMap = new Map();
+  let added = 0;
+  let subcategoriesAdded = 0;
+
+  theirs.forEach(category => {
+    const match = merged.find(c => c.id === category.id) ||
+      merged.find(c => normalize(c.name) === normalize(category.name));
+    if (!match) {
+      merged.push({ ...category, subcategories: [...(category.subcategories || [])] });
+      idMap.set(category.id, category.id);
+      added++;
+      return;
+    }
+
+    idMap.set(category.id, match.id);
+    (category.subcategories || []).forEach(subcategory => {
+      if (!match.subcategories.some(s => normalize(s) === normalize(subcategory))) {
+        match.subcategories.push(subcategory);
+        subcategoriesAdded++;
+      }
+    });
+  });
+
+  return { merged, idMap, added, subcategoriesAdded };
+}
+
+/**
+ * Add accounts not known yet (same id, or same type and number; cards by the last 4 digits)
+ */
+function mergeAccounts(mine, theirs) {
+  const merged = [...mine];
+  const idMap = new Map();
+  const numberKey = (account) => `${account.type}|${account.type === 'credit_card'
+    ? (account.accountNumber || '').slice(-4)
+    : account.accountNumber}`;
+
+  theirs.forEach(account => {
+    const match = merged.find(a => a.id === account.id) || merged.find(a => numberKey(a) === numberKey(account));
+    if (match) {
+      idMap.set(account.id, match.id);
+    } else {
+      merged.push(account);
+      idMap.set(account.id, account.id);
+    }
+  });
+  return { merged, idMap, added: merged.length - mine.length };
+}
+
+/**
+ * Work out how a (parsed) backup merges into the current data without changing either
+ * Returns per entity the merged list and how many items were added; for
+ * transactions the ones to add, the conflicts ({ id, mine, theirs, fields })
+ * and how many matched without differences
+ */
+export function planBackupMerge(current, backup) {
+  const categories = mergeCategories(current.categories || [], backup.categories || []);
+  const accounts = mergeAccounts(current.accounts || [], backup.accounts || []);
+  const mapCategory = (id) => categories.idMap.get(id) ?? id;
+  const mapAccount = (id) => accounts.idMap.get(id) ?? id;
+
+  const autoLabelRules = unionBy(
+    current.autoLabelRules || [],
+    (backup.autoLabelRules || []).map(rule => ({ ...rule, category: mapCategory(rule.category) })),
+    rule => `${normalize(rule.keyword)}|${rule.category}|${normalize(rule.subcategory)}`
+  );
+  const cleaningRules = unionBy(current.cleaningRules || [], backup.cleaningRules || [], rule => `${rule.pattern}|${rule.replacement}`);
+  const mappingTemplates = unionBy(current.mappingTemplates || [], backup.mappingTemplates || [], template => template.name);
+  const statements = unionBy(
+    current.statements || [],
+    (backup.statements || []).map(statement => ({ ...statement, accountId: mapAccount(statement.accountId) })),
+    statement => statement.id
+  );
+
+  const mine = current.transactions || [];
+  const theirs = backup.transactions || [];
+  const contentIds = assignTransactionIds(theirs);
+  // Look for a match among my transactions of the same (mapped) account and those
+  // without one, so equal rows in two accounts are not taken for each other
+  const identitiesByAccount = new Map();
+  const identitiesOf = (accountId) => {
+    if (!identitiesByAccount.has(accountId)) {
+      identitiesByAccount.set(accountId, mapTransactionIdentities(accountId === null
+        ? mine
+        : mine.filter(t => !t.accountId || t.accountId === accountId)));
+    }
+    return identitiesByAccount.get(accountId);
+  };
+  const usedIds = new Set(mine.map(t => t.id));
+  const matched = new Set();
+  const added = [];
+  const conflicts = [];
+  let unchanged = 0;
+
+  theirs.forEach((transaction, index) => {
+    const incoming = {
+      ...transaction,
+      ...(transaction.category && { category: mapCategory(transaction.category) }),
+      ...(transaction.accountId && { accountId: mapAccount(transaction.accountId) })
+    };
+    const mineByIdentity = identitiesOf(incoming.accountId || null);
+    const match = mineByIdentity.get(transaction.id) || mineByIdentity.get(contentIds[index].id);
+    if (!match) {
+      // The same row content in another account still needs an ID of its own
+      const id = usedIds.has(incoming.id) ? `${incoming.id}_${incoming.accountId}` : incoming.id;
+      usedIds.add(id);
+      added.push(id === incoming.id ? incoming : { ...incoming, id });
+      return;
+    }
+    if (matched.has(match.id)) return;
+    matched.add(match.id);
+
+    const fields = [...new Set([...Object.keys(match), ...Object.keys(incoming)])]
+      .filter(field => !LINK_FIELDS.includes(field) && !sameValue(match[field], incoming[field]));
+    if (fields.length > 0) {
+      conflicts.push({ id: match.id, mine: match, theirs: incoming, fields });
+    } else {
+      unchanged++;
+    }
+  });
+
+  return {
+    transactions: { added, conflicts, unchanged },
+    categories,
+    accounts,
+    autoLabelRules,
+    cleaningRules,
+    mappingTemplates,
+    statements,
+    auditLog: backup.auditLog || []
+  };
+}
+
+/**
+ * Resolve a conflict: 'mine', 'theirs', or { [field]: 'mine' | 'theirs' }
+ */
+export function resolveConflict({ mine, theirs, fields }, choice = 'mine') {
+  if (choice === 'mine') return mine;
+
+  const resolved = { ...mine };
+  fields.forEach(field => {
+    const side = typeof choice === 'object' ? choice[field] : choice;
+    if (side !== 'theirs') return;
+    if (theirs[field] === undefined) delete resolved[field];
+    else resolved[field] = theirs[field];
+  });
+  return resolved;
+}
+
+/**
+ * Apply a merge plan to the current transactions with the chosen resolutions
+ * (by conflict id; unresolved conflicts keep mine), newest first
+ */
+export function mergeTransactions(current, plan, resolutions = {}) {
+  const conflicts = new Map(plan.transactions.conflicts.map(conflict => [conflict.id, conflict]));
+  const merged = current.map(t => conflicts.has(t.id) ? resolveConflict(conflicts.get(t.id), resolutions[t.id]) : t);
+  return [...merged, ...plan.transactions.added].sort((a, b) => new Date(b.date) - new Date(a.date));
+}
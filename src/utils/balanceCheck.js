@@ -0,0 +1,113 @@
+/**
+ * Running-balance continuity check
+ *
+ * Walks transactions in chronological order and checks that
+ * previous balance - debit + credit = balance. A break usually means a row was
+ * dropped during parsing, a wrapped narration was split into two rows, or a
+ * statement period is missing.
+ */
+
+const TOLERANCE = 0.01;
+const PERIOD_GAP_DAYS = 31; // A longer gap between rows suggests a missing statement
+
+const expectedBalance = (previousBalance, transaction) =>
+  previousBalance - (transaction.debit || 0) + (transaction.credit || 0);
+
+const matches = (expected, actual) => Math.abs(expected - actual) < TOLERANCE;
+
+/**
+ * Order transactions oldest first
+ * Rows on the same day keep their statement order, except that a row whose
+ * balance follows from the previous one is preferred (stored transactions are
+ * sorted by date only, so same-day order is not guaranteed)
+ * Without a starting balance, the day opens with a row no other row leads to
+ */
+export function orderChronologically(transactions, startingBalance = null) {
+  const byDate = [...transactions].sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+  const ordered = [];
+  let balance = startingBalance;
+  let i = 0;
+
+  while (i < byDate.length) {
+    const day = [];
+    const date = byDate[i].date;
+    while (i < byDate.length && byDate[i].date === date) {
+      day.push(byDate[i++]);
+    }
+
+    while (day.length > 0) {
+      let index = balance === null
+        ? day.findIndex(t => !day.some(other => other !== t && matches(expectedBalance(other.balance, t), t.balance)))
+        : day.findIndex(t => matches(expectedBalance(balance, t), t.balance));
+      if (index === -1) index = 0;
+      const [next] = day.splice(index, 1);
+      ordered.push(next);
+      balance = next.balance;
+    }
+  }
+
+  return ordered;
+}
+
+/**
+ * Explain a break in plain words from the size of the gap and the dates around it
+ */
+function describeBreak(previous, transaction, difference) {
+  const days = previous.date && transaction.date
+    ? (new Date(transaction.date) - new Date(previous.date)) / (1000 * 60 * 60 * 24)
+    : 0;
+
+  if (days > PERIOD_GAP_DAYS) {
+    return `No rows for ${Math.round(days)} days - a statement period may be missing`;
+  }
+  return difference > 0
+    ? 'Balance is higher than expected - a credit may be missing or a debit counted twice'
+    : 'Balance is lower than expected - a debit may be missing or a narration split into two rows';
+}
+
+/**
+ * Find running-balance breaks, checked separately for each account
+ * Accounts whose rows carry no balance at all are skipped
+ * Pass openingBalance to also check the first row (e.g. a statement being imported)
+ * Returns [{ accountId, previousId, transactionId, date, expected, actual, difference, reason }]
+ */
+export function findBalanceBreaks(transactions, { openingBalance = null } = {}) {
+  const groups = {};
+  transactions.forEach(t => {
+    const key = t.accountId || 'unassigned';
+    (groups[key] = groups[key] || []).push(t);
+  });
+
+  const breaks = [];
+
+  Object.values(groups).forEach(group => {
+    if (!group.some(t => t.balance)) return;
+
+    const ordered = orderChronologically(group.filter(t => t.date), openingBalance);
+    let previous = openingBalance === null ? null : { id: null, date: null, balance: openingBalance };
+
+    ordered.forEach(transaction => {
+      if (previous) {
+        const expected = expectedBalance(previous.balance, transaction);
+        if (!matches(expected, transaction.balance)) {
+          const difference = Math.round((transaction.balance - expected) * 100) / 100;
+          breaks.push({
+            accountId: transaction.accountId || null,
+            previousId: previous.id,
+            transactionId: transaction.id,
+            date: transaction.date,
+            expected,
+            actual: transaction.balance,
+            difference,
+            reason: previous.id
+              ? describeBreak(previous, transaction, difference)
+              : 'First row does not follow from the opening balance'
+          });
+        }
+      }
+      previous = transaction;
+    });
+  });
+
+  return breaks;
+}
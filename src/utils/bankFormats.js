@@ -0,0 +1,327 @@
+/**
+ * Bank statement format profiles
+ *
+ * Each profile describes how one bank lays out its statement export:
+ * - headerAliases: column names per field (date, valueDate, description, reference,
+ *   debit, credit, amount, drCr, balance, cardNumber, rewardPoints), matched case-insensitively
+ * - dateFormats: formats tried in order by parseDate (see DATE_FORMATS in tsvParser)
+ * - amountStyle: 'split' (separate Debit/Credit columns), 'signed' (one amount column,
+ *   negative = debit), 'suffix' (one amount column with "Dr"/"Cr" suffixes) or
+ *   'indicator' (one amount column plus a Dr/Cr column)
+ * - accountType: 'credit_card' for card statements (no running balance; charges are
+ *   debits, payments and refunds credits); bank accounts leave it out
+ * - delimiter: field separator of the text export
+ * - signatures: patterns in the statement preamble that identify the bank
+ * - narrationCleaners: built-in find/replace rules that strip noise from descriptions
+ *   (SBI's are user-editable instead, see DEFAULT_CLEANING_RULES in narrationCleaning)
+ */
+const BANK_FORMATS = [
+  {
+    id: 'sbi',
+    name: 'State Bank of India',
+    shortName: 'SBI',
+    delimiter: '\t',
+    signatures: [/state bank of india/i, /\bSBIN0[0-9A-Z]{6}\b/],
+    headerAliases: {
+      date: ['txn date', 'transaction date', 'date', 'txn_date'],
+      valueDate: ['value date', 'value_date', 'valdate'],
+      description: ['description', 'particulars', 'narration', 'desc', 'details'],
+      reference: ['ref no', 'ref no.', 'cheque no', 'cheque no.', 'ref no./cheque no.', 'ref no/cheque no', 'reference'],
+      debit: ['debit', 'withdrawal', 'dr', 'debit amount'],
+      credit: ['credit', 'deposit', 'cr', 'credit amount'],
+      balance: ['balance', 'closing balance', 'available balance']
+    },
+    dateFormats: ['DD/MM/YYYY', 'DD/MM/YY', 'DD MMM YYYY', 'DD-MMM-YYYY', 'DD-MMM-YY', 'YYYY-MM-DD'],
+    amountStyle: 'split',
+    narrationCleaners: []
+  },
+  {
+    id: 'hdfc',
+    name: 'HDFC Bank',
+    shortName: 'HDFC',
+    delimiter: ',',
+    signatures: [/hdfc bank/i, /\bHDFC0[0-9A-Z]{6}\b/],
+    headerAliases: {
+      date: ['date'],
+      valueDate: ['value dt', 'value date'],
+      description: ['narration'],
+      reference: ['chq./ref.no.', 'chq/ref no', 'ref no'],
+      debit: ['withdrawal amt.', 'withdrawal amt', 'withdrawal'],
+      credit: ['deposit amt.', 'deposit amt', 'deposit'],
+      balance: ['closing balance', 'balance']
+    },
+    dateFormats: ['DD/MM/YY', 'DD/MM/YYYY'],
+    amountStyle: 'split',
+    narrationCleaners: [
+      // "UPI-JOHN DOE-john@okaxis-SBIN0001234-412345678901-NOTE"
+      { pattern: /^UPI-/i, replacement: '' },
+      { pattern: /-[A-Z]{4}0[0-9A-Z]{6}-\d{10,}-?/g, replacement: ' ' }
+    ]
+  },
+  {
+    id: 'icici',
+    name: 'ICICI Bank',
+    shortName: 'ICICI',
+    delimiter: ',',
+    signatures: [/icici bank/i, /\bICIC0[0-9A-Z]{6}\b/],
+    headerAliases: {
+      date: ['transaction date', 'txn date'],
+      valueDate: ['value date'],
+      description: ['transaction remarks', 'remarks', 'particulars'],
+      reference: ['cheque number', 'chq no'],
+      debit: ['withdrawal amount', 'withdrawal amount (inr )', 'withdrawals'],
+      credit: ['deposit amount', 'deposit amount (inr )', 'deposits'],
+      balance: ['balance', 'balance (inr )']
+    },
+    dateFormats: ['DD/MM/YYYY', 'DD-MM-YYYY', 'DD-MMM-YYYY'],
+    amountStyle: 'split',
+    narrationCleaners: [
+      // "UPI/412345678901/Payment/john@okaxis/SBI"
+      { pattern: /^UPI\/\d+\//i, replacement: '' },
+      { pattern: /^(NEFT|IMPS)-[A-Z0-9]+-/i, replacement: '' }
+    ]
+  },
+  {
+    id: 'axis',
+    name: 'Axis Bank',
+    shortName: 'Axis',
+    delimiter: ',',
+    signatures: [/axis bank/i, /\bUTIB0[0-9A-Z]{6}\b/],
+    headerAliases: {
+      date: ['tran date', 'transaction date'],
+      valueDate: ['value date'],
+      description: ['particulars'],
+      reference: ['chqno', 'chq no', 'cheque no'],
+      debit: ['dr', 'debit'],
+      credit: ['cr', 'credit'],
+      balance: ['bal', 'balance']
+    },
+    dateFormats: ['DD-MM-YYYY', 'DD/MM/YYYY'],
+    amountStyle: 'split',
+    narrationCleaners: [
+      // "UPI/P2A/412345678901/JOHN DOE/SBI"
+      { pattern: /^UPI\/P2[AM]\/\d+\//i, replacement: '' }
+    ]
+  },
+  {
+    id: 'kotak',
+    name: 'Kotak Mahindra Bank',
+    shortName: 'Kotak',
+    delimiter: ',',
+    signatures: [/kotak mahindra/i, /\bKKBK0[0-9A-Z]{6}\b/],
+    headerAliases: {
+      date: ['transaction date', 'date'],
+      valueDate: ['value date'],
+      description: ['description', 'narration'],
+      reference: ['chq / ref no.', 'chq/ref no.', 'chq / ref no', 'ref no'],
+      amount: ['amount'],
+      drCr: ['dr / cr', 'dr/cr'],
+      balance: ['balance']
+    },
+    dateFormats: ['DD-MM-YYYY', 'DD/MM/YYYY'],
+    amountStyle: 'indicator',
+    narrationCleaners: [
+      // "UPI/JOHN DOE/412345678901/Payment"
+      { pattern: /^UPI\//i, replacement: '' },
+      { pattern: /\/\d{12}\b/g, replacement: '' }
+    ]
+  },
+  {
+    id: 'sbicard',
+    name: 'SBI Card',
+    shortName: 'SBI Card',
+    accountType: 'credit_card',
+    delimiter: ',',
+    signatures: [/sbi\s*card/i, /cards\s*(?:and|&)\s*payment\s*services/i],
+    headerAliases: {
+      date: ['transaction date', 'date'],
+      description: ['transaction details', 'merchant name', 'details', 'description'],
+      reference: ['reference number', 'reference no', 'ref no'],
+      // "1,299.00 D" / "5,000.00 C", or a separate Type column
+      amount: ['amount', 'amount (in rs.)', 'amount (rs.)', 'amount (inr)'],
+      drCr: ['type', 'dr/cr', 'cr/dr'],
+      cardNumber: ['card number', 'card no', 'card no.'],
+      rewardPoints: ['reward points', 'points earned']
+    },
+    dateFormats: ['DD MMM YY', 'DD MMM YYYY', 'DD-MMM-YY', 'DD-MMM-YYYY', 'DD/MM/YYYY', 'DD/MM/YY'],
+    amountStyle: 'suffix',
+    narrationCleaners: [
+      // Purchases end with the country code: "AMAZON PAY INDIA PRIVATE LIMITED BANGALORE IN"
+      { pattern: /\s+IN$/, replacement: '' }
+    ]
+  }
+];
+
+export const DEFAULT_BANK_FORMAT_ID = 'sbi';
+
+/**
+ * Get all registered bank formats (in detection priority order)
+ */
+export function getBankFormats() {
+  return BANK_FORMATS;
+}
+
+/**
+ * Get a bank format by id, falling back to the default (SBI) profile
+ */
+export function getBankFormat(id) {
+  return BANK_FORMATS.find(f => f.id === id) ||
+    BANK_FORMATS.find(f => f.id === DEFAULT_BANK_FORMAT_ID);
+}
+
+/**
+ * Register an additional bank format (replaces an existing profile with the same id)
+ */
+export function registerBankFormat(format) {
+  const index = BANK_FORMATS.findIndex(f => f.id === format.id);
+  if (index === -1) {
+    BANK_FORMATS.push(format);
+  } else {
+    BANK_FORMATS[index] = format;
+  }
+  return format;
+}
+
+/**
+ * Build a format from a manual column mapping ({ date: 0, description: 2, debit: 4, ... })
+ * Columns are addressed by the positional names parseRows gives them ("Column 1", ...)
+ * Narration cleaning and the delimiter come from the base format
+ */
+export function buildMappedFormat(columns, baseFormat, name = 'Custom mapping') {
+  const headerAliases = {};
+  Object.entries(columns).forEach(([field, index]) => {
+    if (index !== null && index !== undefined && index !== '') {
+      headerAliases[field] = [`column ${Number(index) + 1}`];
+    }
+  });
+
+  return {
+    ...baseFormat,
+    id: 'custom',
+    baseId: baseFormat.id,
+    name,
+    shortName: name,
+    headerAliases,
+    // Accept every date layout the default profile knows, whatever the base bank
+    dateFormats: getBankFormat(DEFAULT_BANK_FORMAT_ID).dateFormats,
+    amountStyle: 'split'
+  };
+}
+
+/**
+ * Resolve which header holds each field for a format
+ */
+export function resolveColumns(headers, format) {
+  const columns = {};
+  Object.entries(format.headerAliases).forEach(([field, aliases]) => {
+    columns[field] = findKey(headers, aliases);
+  });
+  return columns;
+}
+
+/**
+ * Check whether a row looks like the transaction header for a format
+ * It needs a date, a description and at least one amount column
+ */
+export function isHeaderRow(row, format) {
+  if (row.length < 3) return false;
+
+  const columns = resolveColumns(row, format);
+  const hasDate = columns.date && !/statement|open/i.test(columns.date);
+  const hasAmount = columns.debit || columns.credit || columns.amount;
+  return Boolean(hasDate && hasAmount && columns.description);
+}
+
+/**
+ * Score how well rows match a format: header fields found plus a bonus
+ * when the preamble mentions the bank (name or IFSC prefix)
+ */
+export function scoreBankFormat(format, rows) {
+  const sample = rows.slice(0, 50);
+  let headerScore = 0;
+
+  sample.forEach(row => {
+    if (isHeaderRow(row, format)) {
+      const columns = resolveColumns(row, format);
+      headerScore = Math.max(headerScore, Object.values(columns).filter(Boolean).length);
+    }
+  });
+
+  const preamble = sample.map(row => row.join(' ')).join('\n');
+  const signatureScore = format.signatures.some(pattern => pattern.test(preamble)) ? 2 : 0;
+
+  return headerScore + signatureScore;
+}
+
+/**
+ * Detect the bank format of already-split rows (spreadsheets, PDFs)
+ * Ties go to the earlier profile, so SBI stays the default
+ */
+export function detectBankFormat(rows) {
+  let best = { format: getBankFormat(DEFAULT_BANK_FORMAT_ID), score: 0 };
+
+  BANK_FORMATS.forEach(format => {
+    const score = scoreBankFormat(format, rows);
+    if (score > best.score) {
+      best = { format, score };
+    }
+  });
+
+  return best.format;
+}
+
+/**
+ * Apply a format's narration cleaners and collapse whitespace
+ */
+export function cleanNarration(description, format) {
+  if (!description) return '';
+
+  let cleaned = description;
+  format.narrationCleaners.forEach(({ pattern, replacement }) => {
+    cleaned = cleaned.replace(pattern, replacement);
+  });
+
+  // Clean up multiple spaces and trim
+  return cleaned.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Find matching header key (case-insensitive)
+ * Uses exact match or word-boundary matching to avoid false positives
+ * (e.g., 'cr' should not match 'Description')
+ */
+export function findKey(headers, possibleNames = []) {
+  // First pass: try exact match
+  for (const header of headers) {
+    const lowerHeader = header.toLowerCase().trim();
+    for (const name of possibleNames) {
+      if (lowerHeader === name.toLowerCase()) {
+        return header;
+      }
+    }
+  }
+
+  // Second pass: try word-boundary match for multi-word headers
+  // e.g., "Ref No./Cheque No." should match "ref no"
+  for (const header of headers) {
+    const lowerHeader = header.toLowerCase().trim();
+    for (const name of possibleNames) {
+      const lowerName = name.toLowerCase();
+      // Only match if the name appears as a complete word or phrase
+      // Use word boundary check - name must be at start/end or surrounded by non-alphanumeric chars
+      const regex = new RegExp(`(^|[^a-z])${escapeRegex(lowerName)}([^a-z]|$)`);
+      if (regex.test(lowerHeader)) {
+        return header;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Escape special regex characters
+ */
+function escapeRegex(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,54 @@
+/**
+ * Decode SBI Card statement narrations
+ *
+ * Card statements list purchases by merchant, plus the entries the card
+ * itself books: payments received, EMI conversions (the purchase amount is
+ * credited back and re-billed as monthly principal + interest) and fees.
+ *   AMAZON PAY INDIA PRIVATE LIMITED BANGALORE IN
+ *   PAYMENT RECEIVED 000IR01234567890 THANK YOU
+ *   EMI CONVERSION - CROMA MUMBAI
+ *   EMI PRINCIPAL 03/12 - CROMA MUMBAI
+ */
+
+const PAYMENT_PATTERN = /PAYMENT\s*RECEIVED|THANK\s*YOU|\bPAYMENT\b.*\b(NEFT|IMPS|UPI|NETBANKING|BILLDESK|AUTO\s*DEBIT|AUTOPAY)\b/i;
+
+// Most specific first: any other EMI line is a principal installment
+const EMI_PATTERNS = [
+  { kind: 'conversion', pattern: /EMI\s*(CONVERSION|CONV|BOOKED)|CONVERTED\s*TO\s*EMI|FLEXIPAY|ENCASH/i },
+  { kind: 'interest', pattern: /EMI\s*INT(EREST)?\b|INTEREST\s*(ON|FOR)\s*EMI/i },
+  { kind: 'fee', pattern: /EMI.*PROC(ESSING)?\s*FEE|PROCESSING\s*FEE.*EMI/i },
+  { kind: 'principal', pattern: /\bEMI\b|PRINCIPAL/i }
+];
+
+const INSTALLMENT_PATTERN = /\b(\d{1,2})\s*(?:\/|OF)\s*(\d{1,2})\b/i;
+
+/**
+ * Decode a card narration
+ * Returns { merchant, payment, emi } where emi is null or
+ * { kind: 'conversion' | 'principal' | 'interest' | 'fee', installment, installments }
+ */
+export function decodeCardNarration(narration) {
+  const text = (narration || '').replace(/\s+/g, ' ').trim();
+
+  if (PAYMENT_PATTERN.test(text)) {
+    return { merchant: '', payment: true, emi: null };
+  }
+
+  let emi = null;
+  const emiRule = EMI_PATTERNS.find(rule => rule.pattern.test(text));
+  if (emiRule) {
+    const installment = text.match(INSTALLMENT_PATTERN);
+    emi = {
+      kind: emiRule.kind,
+      installment: installment ? parseInt(installment[1]) : null,
+      installments: installment ? parseInt(installment[2]) : null
+    };
+  }
+
+  // EMI lines name the original merchant after a dash
+  const merchant = (emi ? text.split(/\s+-\s+/)[1] || '' : text)
+    .replace(/\s+(IN|IND|INDIA)$/i, '')
+    .trim();
+
+  return { merchant, payment: false, emi };
+}
@@ -0,0 +1,139 @@
+/**
+ * Payment channel classification for SBI narrations
+ *
+ * Each rule recognizes one channel from the narration and pulls out the fields
+ * that channel carries (IFSC and UTR for NEFT/RTGS, terminal ID for ATM,
+ * mandate ID for NACH, ...). Rules are tried in order, so the more specific
+ * ones (card charges before ATM, UPI before IMPS) come first.
+ */
+
+const IFSC_PATTERN = /\b([A-Z]{4}0[A-Z0-9]{6})\b/;
+
+const firstMatch = (text, pattern) => text.match(pattern)?.[1] || '';
+
+export const CHANNELS = [
+  { id: 'upi', label: 'UPI', color: '#00C896' },
+  { id: 'neft', label: 'NEFT', color: '#5DADE2' },
+  { id: 'rtgs', label: 'RTGS', color: '#2E86C1' },
+  { id: 'imps', label: 'IMPS', color: '#48C9B0' },
+  { id: 'nach', label: 'NACH / Auto-debit', color: '#BB8FCE' },
+  { id: 'atm', label: 'ATM', color: '#F39C12' },
+  { id: 'pos', label: 'Card (POS)', color: '#EC7063' },
+  { id: 'cheque', label: 'Cheque', color: '#F7DC6F' },
+  { id: 'interest', label: 'Interest', color: '#58D68D' },
+  { id: 'charges', label: 'Bank Charges', color: '#E74C3C' },
+  { id: 'other', label: 'Other', color: '#95A5A6' }
+];
+
+const CHANNEL_RULES = [
+  {
+    channel: 'charges',
+    // Only the bank's own charge narrations: a bare "AMC" or "CHRGS" can be a
+    // payee name ("UPI/DR/.../AMC THEATRES") and must not hide the real channel
+    pattern: /DEBIT-ATMCard AMC|ATM\s*CARD\s*(AMC|CHG)|SMS\s*CHARGES|MIN\s*BAL\s*CHG/i,
+    details: () => ({})
+  },
+  {
+    channel: 'upi',
+    pattern: /\bUPI\b/i,
+    details: (text) => ({ ref: firstMatch(text, /UPI\/(?:DR|CR)\/(\d+)/i) })
+  },
+  {
+    channel: 'neft',
+    pattern: /\bNEFT\b/i,
+    // "BY TRANSFER-NEFT*HDFC0000001*N123456789012*ACME LTD"
+    details: (text) => ({
+      ifsc: firstMatch(text, IFSC_PATTERN),
+      utr: firstMatch(text, /\b([A-Z]{4}[NH]?\d{9,}|N\d{9,})\b/),
+      counterparty: firstMatch(text, /NEFT\*[^*]*\*[^*]*\*([^*]+)/i).trim()
+    })
+  },
+  {
+    channel: 'rtgs',
+    pattern: /\bRTGS\b/i,
+    details: (text) => ({
+      ifsc: firstMatch(text, IFSC_PATTERN),
+      utr: firstMatch(text, /\b([A-Z]{4}R\d{9,})\b/)
+    })
+  },
+  {
+    channel: 'imps',
+    pattern: /\bIMPS\b/i,
+    // "TO TRANSFER-IMPS/P2A/412345678901/JOHN DOE"
+    details: (text) => ({
+      ref: firstMatch(text, /IMPS\/?(?:P2[AMP])?\/?(\d{9,})/i),
+      counterparty: firstMatch(text, /IMPS\/?(?:P2[AMP])?\/?\d{9,}\/([^/]+)/i).trim()
+    })
+  },
+  {
+    channel: 'nach',
+    pattern: /\bN?ACH\s*-?\s*(DR|CR|DEBIT|CREDIT)|ACHDr|ACHCr|\bNACH\b|\bECS\b/i,
+    // "DEBIT-ACHDr UTIB7021305162020 HDFCLIFE"
+    details: (text) => ({
+      mandateId: firstMatch(text, /\b([A-Z]{4}\d{10,}|[A-Z]{4}[A-Z0-9]{12,})\b/),
+      counterparty: firstMatch(text, /\b(?:[A-Z]{4}\d{10,})\s+(.+)$/).trim()
+    })
+  },
+  {
+    channel: 'atm',
+    pattern: /\bATM\b.*\b(WDL|CASH)\b|\bATM\s*WDL\b|CASH\s*WITHDRAWAL/i,
+    // "ATM WDL-ATM CASH 12345 MG ROAD BANGALORE"
+    details: (text) => ({
+      terminalId: firstMatch(text, /(?:ATM CASH|\bAT)\s+([A-Z0-9]{4,})/i),
+      location: firstMatch(text, /ATM CASH\s+[A-Z0-9]+\s+(.+)$/i).trim()
+    })
+  },
+  {
+    channel: 'pos',
+    pattern: /\bPOS\b|\bECOM\b/i,
+    // "POS PRCH 412345XXXXXX1234 AMAZON"
+    details: (text) => ({
+      card: firstMatch(text, /\b(\d{4,6}X{4,}\d{4})\b/i),
+      merchant: firstMatch(text, /\b\d{4,6}X{4,}\d{4}\s+(.+)$/i).trim()
+    })
+  },
+  {
+    channel: 'cheque',
+    pattern: /\bCHQ\b|CHEQUE|\bCLG\b|CLEARING/i,
+    details: (text) => ({ chequeNumber: firstMatch(text, /\b(\d{6})\b/) })
+  },
+  {
+    channel: 'interest',
+    pattern: /\bINT\.?\s*PD\b|INTEREST|\bINT\.?\s*CR/i,
+    details: () => ({})
+  }
+];
+
+/**
+ * Classify a narration into a payment channel
+ * Returns { channel, details } where details holds the channel-specific fields found
+ */
+export function classifyNarration(narration) {
+  const text = (narration || '').replace(/\s+/g, ' ').trim();
+
+  for (const rule of CHANNEL_RULES) {
+    if (rule.pattern.test(text)) {
+      const details = {};
+      Object.entries(rule.details(text)).forEach(([key, value]) => {
+        if (value) details[key] = value;
+      });
+      return { channel: rule.channel, details };
+    }
+  }
+
+  return { channel: 'other', details: {} };
+}
+
+/**
+ * Get the channel of a transaction (classified on the fly for older imports)
+ */
+export function getTransactionChannel(transaction) {
+  return transaction.channel || classifyNarration(transaction.description).channel;
+}
+
+/**
+ * Get the display info of a channel
+ */
+export function getChannelInfo(channelId) {
+  return CHANNELS.find(c => c.id === channelId) || CHANNELS[CHANNELS.length - 1];
+}
@@ -0,0 +1,82 @@
+import { parseDate } from './tsvParser.js';
+
+/**
+ * Fields a statement column can be mapped to in the column-mapping step
+ */
+export const MAPPING_FIELDS = [
+  { id: 'date', label: 'Date', required: true },
+  { id: 'valueDate', label: 'Value Date' },
+  { id: 'description', label: 'Description', required: true },
+  { id: 'reference', label: 'Reference' },
+  { id: 'debit', label: 'Debit' },
+  { id: 'credit', label: 'Credit' },
+  { id: 'balance', label: 'Balance' }
+];
+
+export const MAPPING_DELIMITERS = [
+  { value: '\t', label: 'Tab' },
+  { value: ',', label: 'Comma' },
+  { value: ';', label: 'Semicolon' },
+  { value: '|', label: 'Pipe' }
+];
+
+/**
+ * Check that a mapping has what normalizeTransaction needs
+ * Returns an error message, or null when the mapping is usable
+ */
+export function validateMapping(columns) {
+  const missing = MAPPING_FIELDS
+    .filter(field => field.required && !isMapped(columns[field.id]))
+    .map(field => field.label);
+
+  if (missing.length > 0) {
+    return `Select a column for: ${missing.join(', ')}`;
+  }
+  if (!isMapped(columns.debit) && !isMapped(columns.credit)) {
+    return 'Select a Debit or Credit column';
+  }
+  return null;
+}
+
+/**
+ * Signature of a statement layout, used to recognise it on the next upload
+ * With a header line it is the normalized header text, otherwise the column count
+ */
+export function getLayoutSignature(rows, headerIndex) {
+  if (headerIndex >= 0 && rows[headerIndex]) {
+    return rows[headerIndex].map(cell => cell.trim().toLowerCase()).join('|');
+  }
+  const columnCount = Math.max(...rows.slice(0, 10).map(row => row.length));
+  return `columns:${columnCount}`;
+}
+
+/**
+ * Find a saved template whose layout matches the rows
+ * Returns the template with the header line found in this file, or null
+ */
+export function findMatchingTemplate(rows, templates) {
+  for (const template of templates) {
+    if (template.signature.startsWith('columns:')) {
+      // Headerless layout: same column count and a readable date in the first row
+      const firstRow = rows[0] || [];
+      if (getLayoutSignature(rows, -1) === template.signature &&
+          parseDate(firstRow[template.columns.date] || '')) {
+        return { ...template, headerIndex: -1 };
+      }
+      continue;
+    }
+
+    // The header line may move when the preamble changes length
+    const headerIndex = rows
+      .slice(0, 50)
+      .findIndex((row, index) => getLayoutSignature(rows, index) === template.signature);
+    if (headerIndex !== -1) {
+      return { ...template, headerIndex };
+    }
+  }
+  return null;
+}
+
+function isMapped(index) {
+  return index !== null && index !== undefined && index !== '';
+}
@@ -0,0 +1,107 @@
+/**
+ * Passphrase encryption with WebCrypto
+ *
+ * A 256-bit AES-GCM key is derived from the passphrase with PBKDF2-SHA-256 and
+ * a random salt. Every encryption uses a fresh 96-bit IV; GCM's authentication
+ * tag makes a wrong passphrase (or a tampered file) fail to decrypt instead of
+ * producing garbage. The KDF parameters travel with the data so the key can be
+ * derived again from the passphrase alone.
+ */
+
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+export const ENCRYPTED_BACKUP_FORMAT = 'sbi-statement-analyzer/encrypted-backup';
+
+// btoa takes a binary string, so large buffers are converted in slices
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * New key-derivation parameters with a random salt
+ */
+export function createKdfParams() {
+  return {
+    name: 'PBKDF2',
+    hash: 'SHA-256',
+    iterations: PBKDF2_ITERATIONS,
+    salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)))
+  };
+}
+
+/**
+ * Derive the AES-GCM key for a passphrase (not extractable)
+ */
+export async function deriveKey(passphrase, kdf) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: base64ToBytes(kdf.salt) },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt a JSON-serializable value, returning { iv, data } as base64
+ */
+export async function encryptJSON(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const plaintext = new TextEncoder().encode(JSON.stringify(value));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+  return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(ciphertext)) };
+}
+
+/**
+ * Decrypt a value written by encryptJSON
+ * Throws an error with code WRONG_PASSPHRASE when the key does not match
+ */
+export async function decryptJSON(key, { iv, data }) {
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(data));
+  } catch {
+    const error = new Error('Wrong passphrase');
+    error.code = 'WRONG_PASSPHRASE';
+    throw error;
+  }
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Check whether parsed JSON is an encrypted backup file
+ */
+export function isEncryptedBackup(data) {
+  return data?.format === ENCRYPTED_BACKUP_FORMAT;
+}
+
+/**
+ * Wrap a backup in an encrypted backup file
+ */
+export async function encryptBackup(backup, key, kdf) {
+  return {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: 1,
+    kdf,
+    cipher: 'AES-GCM',
+    ...(await encryptJSON(key, backup))
+  };
+}
+
+/**
+ * Decrypt an encrypted backup file with its passphrase
+ */
+export async function decryptBackup(file, passphrase) {
+  return decryptJSON(await deriveKey(passphrase, file.kdf), file);
+}
@@ -0,0 +1,28 @@
+import { decodeText } from './textEncoding.js';
+
+/**
+ * Browser file reading for uploads
+ *
+ * Kept apart from the parsers, which work on text and rows only, so they also
+ * run under Node (see scripts/convert-statements.js).
+ */
+
+/**
+ * Read file as text, detecting the encoding (UTF-8, UTF-16 LE/BE, Windows-1252)
+ * unless one is given (see decodeText)
+ */
+export async function readFileAsText(file, encoding = 'auto') {
+  return decodeText(await readFileAsArrayBuffer(file), encoding).text;
+}
+
+/**
+ * Read file as binary data (for spreadsheet and PDF statements)
+ */
+export function readFileAsArrayBuffer(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error('Failed to read file'));
+    reader.readAsArrayBuffer(file);
+  });
+}
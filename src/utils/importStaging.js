@@ -0,0 +1,87 @@
+import { getTransactionIdentities } from './transactionIdentity.js';
+import { findStatementAccount, getStatementAccountNumber, withCardNumber } from './accounts.js';
+
+/**
+ * Helpers for the import staging step between parsing and saving
+ */
+
+/**
+ * Work out the account a parsed statement will be saved to: the chosen one,
+ * else the stored account its header describes. A header naming an account
+ * not stored yet gives "new:<number>", which no stored transaction has;
+ * null means the import will have no account
+ */
+export function getImportAccountId(accounts, { statement, format, transactions }, chosenId = null) {
+  if (chosenId) return chosenId;
+  const metadata = withCardNumber(statement || {}, format, transactions);
+  const account = findStatementAccount(accounts, metadata, format);
+  if (account) return account.id;
+  const accountNumber = getStatementAccountNumber(metadata, format);
+  if (!accountNumber) return null;
+  // Cards are told apart by their last 4 digits, however the statement masks the rest
+  return format?.accountType === 'credit_card' ? `new:card:${accountNumber.slice(-4)}` : `new:${accountNumber}`;
+}
+
+/**
+ * Same identity check storageService.addTransactions uses to skip duplicates:
+ * against the stored transactions of the account and those without one
+ * (all of them for an import without an account)
+ */
+function getExistingIdentities(existingTransactions, accountId) {
+  return getTransactionIdentities(accountId === null
+    ? existingTransactions
+    : existingTransactions.filter(t => !t.accountId || t.accountId === accountId));
+}
+
+/**
+ * Wrap parsed transactions in staging rows with their review flags
+ * Duplicates of stored transactions (in the account they are imported to,
+ * see getImportAccountId) and rows without a date start deselected
+ */
+export function stageTransactions(transactions, existingTransactions = [], accountId = null) {
+  const existingIds = getExistingIdentities(existingTransactions, accountId);
+
+  return transactions.map(transaction => {
+    const duplicate = existingIds.has(transaction.id);
+    const invalidDate = !transaction.date;
+    const zeroAmount = !transaction.debit && !transaction.credit;
+
+    return {
+      transaction,
+      duplicate,
+      invalidDate,
+      zeroAmount,
+      selected: !duplicate && !invalidDate
+    };
+  });
+}
+
+/**
+ * Check staged rows for duplicates again after the target account changed;
+ * rows whose flag changed are selected unless they are duplicates now
+ */
+export function restageForAccount(rows, existingTransactions, accountId) {
+  const existingIds = getExistingIdentities(existingTransactions, accountId);
+  return rows.map(row => {
+    const duplicate = existingIds.has(row.transaction.id);
+    if (duplicate === row.duplicate) return row;
+    return { ...row, duplicate, selected: !duplicate && Boolean(row.transaction.date) };
+  });
+}
+
+/**
+ * Totals and date span of the selected staging rows
+ */
+export function summarizeStaged(rows) {
+  const selected = rows.filter(row => row.selected);
+  const dates = selected.map(row => row.transaction.date).filter(Boolean).sort();
+
+  return {
+    count: selected.length,
+    totalDebit: selected.reduce((sum, row) => sum + row.transaction.debit, 0),
+    totalCredit: selected.reduce((sum, row) => sum + row.transaction.credit, 0),
+    from: dates[0] || null,
+    to: dates[dates.length - 1] || null,
+    missingDates: selected.filter(row => !row.transaction.date).length
+  };
+}
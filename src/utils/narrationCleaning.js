@@ -0,0 +1,60 @@
+import { getBankFormat, cleanNarration } from './bankFormats.js';
+
+/**
+ * Description cleaning pipeline
+ *
+ * Every transaction keeps the bank's narration untouched in rawDescription.
+ * The display description is derived from it by the bank format's built-in
+ * cleaners followed by the user's find/replace rules, so changing the rules
+ * and re-running them is always reversible.
+ *
+ * A rule is { id, label, pattern, replacement, enabled }; pattern is a
+ * regular expression source applied globally and case-insensitively.
+ */
+export const DEFAULT_CLEANING_RULES = [
+  // UPI transfer prefixes like "TO TRANSFER-UPI/DR/50991133328/"
+  { id: 'clean_upi_to', label: 'UPI transfer prefix (outgoing)', pattern: 'TO TRANSFER-UPI\\/[A-Z]+\\/\\d+\\/', replacement: '', enabled: true },
+  { id: 'clean_upi_by', label: 'UPI transfer prefix (incoming)', pattern: 'BY TRANSFER-UPI\\/[A-Z]+\\/\\d+\\/', replacement: '', enabled: true },
+  { id: 'clean_upi_dr', label: 'UPI debit reference', pattern: 'UPI\\/DR\\/\\d+\\/', replacement: '', enabled: true },
+  { id: 'clean_upi_cr', label: 'UPI credit reference', pattern: 'UPI\\/CR\\/\\d+\\/', replacement: '', enabled: true },
+  { id: 'clean_dr_ref', label: 'Debit reference', pattern: '\\/DR\\/\\d+\\/', replacement: '', enabled: true },
+  { id: 'clean_cr_ref', label: 'Credit reference', pattern: '\\/CR\\/\\d+\\/', replacement: '', enabled: true }
+];
+
+/**
+ * Check a rule's pattern, returning an error message or null
+ */
+export function validateCleaningRule(rule) {
+  if (!rule.pattern) return 'Pattern is required';
+  try {
+    new RegExp(rule.pattern, 'gi');
+    return null;
+  } catch (err) {
+    return `Invalid pattern: ${err.message}`;
+  }
+}
+
+/**
+ * Run text through the enabled rules in order (invalid patterns are skipped)
+ */
+export function applyCleaningRules(text, rules = DEFAULT_CLEANING_RULES) {
+  if (!text) return '';
+
+  let cleaned = text;
+  rules.forEach(rule => {
+    if (!rule.enabled || validateCleaningRule(rule)) return;
+    cleaned = cleaned.replace(new RegExp(rule.pattern, 'gi'), rule.replacement || '');
+  });
+
+  // Clean up multiple spaces and trim
+  return cleaned.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Derive the display description of a transaction from its raw narration
+ * Older transactions without rawDescription are cleaned from their description
+ */
+export function getCleanedDescription(transaction, rules = DEFAULT_CLEANING_RULES) {
+  const raw = transaction.rawDescription ?? transaction.description ?? '';
+  return applyCleaningRules(cleanNarration(raw, getBankFormat(transaction.formatId)), rules);
+}
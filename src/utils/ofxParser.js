@@ -0,0 +1,235 @@
+import { parseRows } from './tsvParser.js';
+
+/**
+ * OFX (Open Financial Exchange) import and export
+ *
+ * Reads both OFX 1.x (SGML, element tags left unclosed) and OFX 2.x (XML) bank
+ * and credit card statements. Transactions are turned into rows and go through
+ * parseRows like every other input, so they get the same normalized shape.
+ */
+
+const OFX_COLUMNS = ['Date', 'Description', 'Reference', 'Amount'];
+
+// OFX amounts are signed (negative = debit) and dates are converted to ISO below
+const OFX_FORMAT = {
+  id: 'ofx',
+  name: 'OFX file',
+  shortName: 'OFX',
+  delimiter: '\t',
+  signatures: [],
+  headerAliases: {
+    date: ['date'],
+    description: ['description'],
+    reference: ['reference'],
+    amount: ['amount']
+  },
+  dateFormats: ['YYYY-MM-DD'],
+  amountStyle: 'signed',
+  narrationCleaners: []
+};
+
+/**
+ * Read the text of a simple element (<TAG>value) from an OFX block
+ */
+function readTag(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : '';
+}
+
+/**
+ * Get every aggregate (<TAG>...</TAG>) of a type from an OFX block
+ */
+function readAggregates(block, tag) {
+  return block.match(new RegExp(`<${tag}>[\\s\\S]*?</${tag}>`, 'gi')) || [];
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function encodeEntities(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Convert an OFX date (YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]) to YYYY-MM-DD
+ */
+function ofxDateToISO(value) {
+  const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : '';
+}
+
+function isoToOfxDate(iso) {
+  return iso ? `${iso.replace(/-/g, '')}000000` : '';
+}
+
+/**
+ * Parse one statement aggregate (STMTRS or CCSTMTRS): its account, its
+ * transactions, period and ledger balance
+ */
+function parseStatement(block, creditCard) {
+  const accountBlock = readAggregates(block, creditCard ? 'CCACCTFROM' : 'BANKACCTFROM')[0] || '';
+  const transactionList = readAggregates(block, 'BANKTRANLIST')[0] || block;
+  const ledger = readAggregates(block, 'LEDGERBAL')[0] || '';
+
+  const rows = [OFX_COLUMNS];
+  readAggregates(transactionList, 'STMTTRN').forEach(entry => {
+    const name = readTag(entry, 'NAME');
+    const memo = readTag(entry, 'MEMO');
+    // Many banks truncate NAME and put the full narration in MEMO;
+    // otherwise MEMO is a note that belongs after the payee
+    let description = [name, memo].filter(Boolean).join(' ');
+    if (memo.toUpperCase().includes(name.toUpperCase())) description = memo;
+    else if (name.toUpperCase().includes(memo.toUpperCase())) description = name;
+
+    rows.push([
+      ofxDateToISO(readTag(entry, 'DTPOSTED') || readTag(entry, 'DTUSER')),
+      description,
+      readTag(entry, 'CHECKNUM') || readTag(entry, 'REFNUM') || readTag(entry, 'FITID'),
+      readTag(entry, 'TRNAMT')
+    ]);
+  });
+
+  const format = { ...OFX_FORMAT, ...(creditCard && { accountType: 'credit_card' }) };
+  // An empty list still goes through parseRows, which reports no transactions
+  const result = parseRows(rows.length < 2 ? [...rows, []] : rows, { format });
+  const accountNumber = readTag(accountBlock, 'ACCTID');
+  const balance = readTag(ledger, 'BALAMT');
+
+  return {
+    ...result,
+    statement: {
+      ...result.statement,
+      accountNumber: creditCard ? '' : accountNumber,
+      cardNumber: creditCard ? accountNumber : '',
+      periodFrom: ofxDateToISO(readTag(transactionList, 'DTSTART')) || null,
+      periodTo: ofxDateToISO(readTag(transactionList, 'DTEND')) || null,
+      closingBalance: balance ? parseFloat(balance) : null
+    }
+  };
+}
+
+/**
+ * Parse OFX/QFX file content into normalized transactions
+ * Returns one result (the shape of parseRows) per statement in the file - an
+ * export of several accounts holds a bank or card statement for each - with
+ * the account number, period and ledger balance of that statement
+ */
+export function parseOFX(content) {
+  if (!/<OFX>/i.test(content)) {
+    throw new Error('Invalid OFX file: No <OFX> element found');
+  }
+
+  const statements = readAggregates(content, '(?:CC)?STMTRS');
+  if (statements.length === 0) {
+    // No statement aggregate: read the transactions wherever they are
+    return [parseStatement(content, /<CCACCTFROM>/i.test(content))];
+  }
+  return statements.map(block => parseStatement(block, /^<CCSTMTRS>/i.test(block)));
+}
+
+/**
+ * Write one statement aggregate (bank or credit card) for an account's transactions
+ */
+function writeStatement(transactions, account, creditCard) {
+  const dates = transactions.map(t => t.date).filter(Boolean).sort();
+  const accountFrom = creditCard
+    ? `<CCACCTFROM><ACCTID>${encodeEntities(account?.accountNumber || 'UNKNOWN')}</ACCTID></CCACCTFROM>`
+    : [
+      '<BANKACCTFROM>',
+      `<BANKID>${encodeEntities(account?.ifsc || 'UNKNOWN')}</BANKID>`,
+      `<ACCTID>${encodeEntities(account?.accountNumber || 'UNKNOWN')}</ACCTID>`,
+      '<ACCTTYPE>SAVINGS</ACCTTYPE>',
+      '</BANKACCTFROM>'
+    ].join('\n');
+
+  const entries = transactions.map(t => [
+    '<STMTTRN>',
+    `<TRNTYPE>${t.type === 'credit' ? 'CREDIT' : 'DEBIT'}</TRNTYPE>`,
+    `<DTPOSTED>${isoToOfxDate(t.date)}</DTPOSTED>`,
+    `<TRNAMT>${(t.type === 'credit' ? t.credit : -t.debit).toFixed(2)}</TRNAMT>`,
+    `<FITID>${encodeEntities(t.id)}</FITID>`,
+    t.reference && `<REFNUM>${encodeEntities(t.reference)}</REFNUM>`,
+    `<NAME>${encodeEntities(t.description.slice(0, 32))}</NAME>`,
+    `<MEMO>${encodeEntities(t.rawDescription || t.description)}</MEMO>`,
+    '</STMTTRN>'
+  ].filter(Boolean).join('\n'));
+
+  // Newest balance on record, when the bank printed running balances
+  const latest = [...transactions].reverse().find(t => t.balance);
+  const tag = creditCard ? 'CCSTMT' : 'STMT';
+
+  return [
+    `<${tag}TRNRS>`,
+    '<TRNUID>0</TRNUID>',
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    `<${tag}RS>`,
+    '<CURDEF>INR</CURDEF>',
+    accountFrom,
+    '<BANKTRANLIST>',
+    `<DTSTART>${isoToOfxDate(dates[0])}</DTSTART>`,
+    `<DTEND>${isoToOfxDate(dates[dates.length - 1])}</DTEND>`,
+    ...entries,
+    '</BANKTRANLIST>',
+    latest && `<LEDGERBAL><BALAMT>${latest.balance.toFixed(2)}</BALAMT><DTASOF>${isoToOfxDate(latest.date)}</DTASOF></LEDGERBAL>`,
+    `</${tag}RS>`,
+    `</${tag}TRNRS>`
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Write transactions as an OFX 1.0.2 file, one statement per account
+ * (accounts from storage; transactions without one go into a single unnamed statement)
+ */
+export function writeOFX(transactions, accounts = []) {
+  const byAccount = new Map();
+  [...transactions]
+    .sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+    .forEach(t => {
+      const key = t.accountId || '';
+      if (!byAccount.has(key)) byAccount.set(key, []);
+      byAccount.get(key).push(t);
+    });
+
+  const bank = [];
+  const cards = [];
+  byAccount.forEach((accountTransactions, accountId) => {
+    const account = accounts.find(a => a.id === accountId);
+    const creditCard = account?.type === 'credit_card';
+    (creditCard ? cards : bank).push(writeStatement(accountTransactions, account, creditCard));
+  });
+
+  const now = isoToOfxDate(new Date().toISOString().split('T')[0]);
+  // The export is saved as a UTF-8 Blob, so say so: ₹ and Indic-script
+  // narrations would be garbled by readers told to expect Windows-1252
+  return [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:UTF-8',
+    'CHARSET:NONE',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    '',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS>',
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    `<DTSERVER>${now}</DTSERVER>`,
+    '<LANGUAGE>ENG</LANGUAGE>',
+    '</SONRS></SIGNONMSGSRSV1>',
+    bank.length > 0 && `<BANKMSGSRSV1>\n${bank.join('\n')}\n</BANKMSGSRSV1>`,
+    cards.length > 0 && `<CREDITCARDMSGSRSV1>\n${cards.join('\n')}\n</CREDITCARDMSGSRSV1>`,
+    '</OFX>',
+    ''
+  ].filter(line => line !== false).join('\n');
+}
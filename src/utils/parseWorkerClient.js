@@ -0,0 +1,36 @@
+/**
+ * Run a statement parse in the parse worker (see workers/parseWorker.js)
+ * onProgress receives { phase, done, total }. Returns { promise, cancel }: the
+ * promise resolves with the worker's final message, or rejects with an error
+ * of code CANCELLED once cancel() stops the worker.
+ */
+export function parseFileInWorker(file, { kind, encoding = 'auto', categories = [] }, onProgress) {
+  const worker = new Worker(new URL('../workers/parseWorker.js', import.meta.url), { type: 'module' });
+  let cancel;
+
+  const promise = new Promise((resolve, reject) => {
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress?.(data);
+        return;
+      }
+      worker.terminate();
+      resolve(data);
+    };
+
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'The statement parser stopped unexpectedly'));
+    };
+
+    cancel = () => {
+      worker.terminate();
+      const error = new Error('Import cancelled');
+      error.code = 'CANCELLED';
+      reject(error);
+    };
+  });
+
+  worker.postMessage({ file, kind, encoding, categories });
+  return { promise, cancel };
+}
@@ -0,0 +1,48 @@
+/**
+ * Turn content pasted from a net-banking page into statement rows
+ *
+ * Browsers put a copied table on the clipboard both as HTML and as
+ * tab-separated text. The HTML keeps cell boundaries intact (narrations with
+ * line breaks, empty cells), so it is preferred when it contains a table.
+ */
+
+const cellText = (cell) => cell.textContent.replace(/\s+/g, ' ').trim();
+
+/**
+ * Convert the tables in an HTML fragment into rows of cell text, in page order
+ * Rows that only wrap a nested (layout) table are skipped in favour of the inner rows
+ */
+export function htmlToRows(html) {
+  if (!html || !/<table/i.test(html)) return [];
+
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const rows = [];
+
+  doc.querySelectorAll('tr').forEach(tr => {
+    if (tr.querySelector('table')) return;
+
+    const cells = [...tr.children]
+      .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+      .flatMap(cell => {
+        // Keep columns aligned across merged cells
+        const span = Math.max(parseInt(cell.getAttribute('colspan')) || 1, 1);
+        return [cellText(cell), ...Array(span - 1).fill('')];
+      });
+
+    if (cells.some(Boolean)) {
+      rows.push(cells);
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * Read a paste event's clipboard data as { html, text }
+ */
+export function readClipboard(clipboardData) {
+  return {
+    html: clipboardData.getData('text/html') || '',
+    text: clipboardData.getData('text/plain') || ''
+  };
+}
@@ -0,0 +1,171 @@
+import { getDocument, GlobalWorkerOptions, PasswordResponses } from 'pdfjs-dist';
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+import { findHeaderRow, parseRows, parseDate } from './tsvParser.js';
+import { detectBankFormat } from './bankFormats.js';
+import { extractStatementMetadata } from './statementMetadata.js';
+
+// The worker is bundled with the app, so PDFs never leave the browser
+GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+const LINE_TOLERANCE = 3; // Text items within this vertical distance share a line
+const CELL_GAP = 4; // Horizontal gap that separates two cells on a line
+const MAX_CONTINUATION_GAP = 20; // Wrapped narration lines sit closer than this
+const AMOUNT_PATTERN = /^-?[\d,]+\.\d{2}(\s*(cr|dr))?$/i;
+const PAGE_FOOTER_PATTERN = /^page\s*\d+\s*(of\s*\d+)?$/i;
+
+/**
+ * Parse an SBI e-statement PDF from its text layer
+ * Returns the normalized transactions, the detected bank format and the account/period details from the header
+ * Throws an error with code PASSWORD_REQUIRED or PASSWORD_INCORRECT for locked files
+ */
+export async function parsePdfStatement(data, password = '') {
+  const pdf = await openDocument(data, password);
+
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      pages.push(groupIntoLines(content.items));
+    }
+    return buildStatement(pages);
+  } finally {
+    pdf.destroy();
+  }
+}
+
+/**
+ * Open the PDF, translating pdf.js password failures into coded errors
+ */
+async function openDocument(data, password) {
+  try {
+    // pdf.js takes ownership of the buffer, so hand it a copy to allow password retries
+    return await getDocument({
+      data: new Uint8Array(data.slice(0)),
+      password,
+      isEvalSupported: false
+    }).promise;
+  } catch (err) {
+    if (err?.name === 'PasswordException') {
+      const incorrect = err.code === PasswordResponses.INCORRECT_PASSWORD;
+      const error = new Error(incorrect ? 'Incorrect password for this PDF' : 'This PDF is password protected');
+      error.code = incorrect ? 'PASSWORD_INCORRECT' : 'PASSWORD_REQUIRED';
+      throw error;
+    }
+    throw new Error(`Failed to read PDF: ${err?.message || 'unknown error'}`);
+  }
+}
+
+/**
+ * Group positioned text items into lines of cells (top to bottom, left to right)
+ */
+function groupIntoLines(items) {
+  const positioned = items
+    .filter(item => item.str && item.str.trim())
+    .map(item => ({
+      text: item.str,
+      x0: item.transform[4],
+      x1: item.transform[4] + item.width,
+      y: item.transform[5]
+    }))
+    .sort((a, b) => b.y - a.y || a.x0 - b.x0);
+
+  const lines = [];
+  positioned.forEach(item => {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - item.y) <= LINE_TOLERANCE) {
+      line.items.push(item);
+    } else {
+      lines.push({ y: item.y, items: [item] });
+    }
+  });
+
+  return lines.map(line => ({ y: line.y, cells: mergeIntoCells(line.items) }));
+}
+
+/**
+ * Merge items that sit next to each other into a single cell
+ */
+function mergeIntoCells(items) {
+  const cells = [];
+  [...items].sort((a, b) => a.x0 - b.x0).forEach(item => {
+    const cell = cells[cells.length - 1];
+    if (cell && item.x0 - cell.x1 <= CELL_GAP) {
+      cell.text += (item.x0 - cell.x1 > 1 ? ' ' : '') + item.text;
+      cell.x1 = Math.max(cell.x1, item.x1);
+    } else {
+      cells.push({ ...item });
+    }
+  });
+  return cells.map(cell => ({ ...cell, text: cell.text.trim() }));
+}
+
+/**
+ * Turn page lines into statement rows and run them through the shared parser
+ */
+function buildStatement(pages) {
+  const firstPageRows = pages[0]?.map(line => line.cells.map(cell => cell.text)) || [];
+  const format = detectBankFormat(firstPageRows);
+  const { headerIndex, headers } = findHeaderRow(firstPageRows, format);
+
+  if (headerIndex === -1 || firstPageRows.length === 0) {
+    throw new Error('Could not find the transaction table in this PDF');
+  }
+
+  const columns = pages[0][headerIndex].cells;
+  const headerText = headers.join('\t').toLowerCase();
+  const dateColumn = Math.max(headers.findIndex(h => h.toLowerCase().includes('date')), 0);
+  const rows = [headers];
+
+  pages.forEach((lines, pageIndex) => {
+    let current = null;
+    let previousY = null;
+
+    lines.forEach((line, lineIndex) => {
+      // Skip the preamble and the header repeated at the top of each page
+      if (pageIndex === 0 && lineIndex <= headerIndex) return;
+      const lineText = line.cells.map(cell => cell.text).join('\t');
+      if (lineText.toLowerCase() === headerText || PAGE_FOOTER_PATTERN.test(lineText)) return;
+
+      const row = placeCells(line.cells, columns);
+
+      if (parseDate(row[dateColumn], format.dateFormats)) {
+        current = row;
+        rows.push(current);
+      } else if (current && previousY - line.y <= MAX_CONTINUATION_GAP) {
+        // Wrapped narration (or a date split over two lines) continues the previous row
+        row.forEach((value, index) => {
+          if (value) {
+            current[index] = current[index] ? `${current[index]} ${value}` : value;
+          }
+        });
+      } else {
+        current = null;
+      }
+      previousY = line.y;
+    });
+  });
+
+  return {
+    ...parseRows(rows, { format }),
+    statement: extractStatementMetadata(firstPageRows.slice(0, headerIndex))
+  };
+}
+
+/**
+ * Place each cell of a line under the header column it lines up with
+ * Amounts are right-aligned, so they are matched by their right edge
+ */
+function placeCells(cells, columns) {
+  const boundaries = columns.slice(0, -1).map((column, i) => (column.x1 + columns[i + 1].x0) / 2);
+  const row = columns.map(() => '');
+
+  cells.forEach(cell => {
+    const edge = AMOUNT_PATTERN.test(cell.text) ? cell.x1 : cell.x0;
+    let index = boundaries.findIndex(boundary => edge < boundary);
+    if (index === -1) index = columns.length - 1;
+    row[index] = row[index] ? `${row[index]} ${cell.text}` : cell.text;
+  });
+
+  return row;
+}
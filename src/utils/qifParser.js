@@ -0,0 +1,275 @@
+import { normalizeTransaction } from './tsvParser.js';
+import { assignTransactionIds } from './transactionIdentity.js';
+import { extractStatementMetadata } from './statementMetadata.js';
+
+/**
+ * QIF (Quicken Interchange Format) import and export
+ *
+ * A QIF file is a list of records, one field per line, each record ending in "^":
+ *   !Type:Bank
+ *   D15/03/2024
+ *   T-1,299.00
+ *   PSWIGGY
+ *   MDinner
+ *   LFood & Dining:Restaurants
+ *   ^
+ * Categories travel as "Category:Subcategory" in the L field; "[Account]" marks a transfer.
+ */
+
+const QIF_COLUMNS = ['Date', 'Description', 'Reference', 'Amount'];
+
+// QIF amounts are signed (negative = debit) and dates are converted to ISO below
+const QIF_FORMAT = {
+  id: 'qif',
+  name: 'QIF file',
+  shortName: 'QIF',
+  delimiter: '\t',
+  signatures: [],
+  headerAliases: {
+    date: ['date'],
+    description: ['description'],
+    reference: ['reference'],
+    amount: ['amount']
+  },
+  dateFormats: ['YYYY-MM-DD'],
+  amountStyle: 'signed',
+  narrationCleaners: []
+};
+
+/**
+ * Split QIF content into its accounts and their transaction records
+ * Each !Type section belongs to the account of the !Account block before it
+ * (none when there is no such block); sections of the same account and type
+ * are joined. Returns [{ accountName, creditCard, records }] in file order
+ */
+function readAccounts(content) {
+  const accounts = new Map();
+  let records = null; // records of the current !Type section
+  let current = {};
+  let section = '';
+  let account = { name: '', creditCard: false };
+
+  const startSection = (creditCard) => {
+    const key = `${account.name}|${creditCard}`;
+    if (!accounts.has(key)) accounts.set(key, { accountName: account.name, creditCard, records: [] });
+    records = accounts.get(key).records;
+  };
+
+  content.split(/\r?\n/).forEach(line => {
+    if (!line.trim()) return;
+
+    if (line.startsWith('!')) {
+      section = line.trim().toLowerCase();
+      current = {};
+      if (section === '!account') {
+        records = null;
+      } else if (section.startsWith('!type:')) {
+        startSection(section === '!type:ccard' || (section !== '!type:bank' && account.creditCard));
+      }
+      return;
+    }
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    if (code === '^') {
+      // An !Account record names the account the following sections belong to
+      if (section === '!account') {
+        account = { name: current.N || '', creditCard: /^ccard$/i.test(current.T || '') };
+      } else if (records && Object.keys(current).length > 0) {
+        records.push(current);
+      }
+      current = {};
+      return;
+    }
+
+    // Split lines (S, E, $) are summarized by the record total, so only the first value of a code is kept
+    if (current[code] === undefined) current[code] = value;
+  });
+
+  if (records && section !== '!account' && Object.keys(current).length > 0) records.push(current);
+  return [...accounts.values()];
+}
+
+/**
+ * Work out whether slash dates in the file are day-first or month-first
+ * A part above 12 settles it; Quicken's apostrophe years (3/15'24) mean US order
+ */
+function detectDayFirst(dates) {
+  const parts = dates
+    .filter(date => !/^\d{4}/.test(date))
+    .map(date => date.split(/[/.'-]/).map(Number));
+  if (parts.some(([first]) => first > 12)) return true;
+  if (parts.some(([, second]) => second > 12)) return false;
+  return !dates.some(date => date.includes("'"));
+}
+
+/**
+ * Convert a QIF date to YYYY-MM-DD ('' when it cannot be read)
+ */
+function qifDateToISO(date, dayFirst) {
+  const iso = date.match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/);
+  if (iso) return `${iso[1]}-${iso[2].padStart(2, '0')}-${iso[3].padStart(2, '0')}`;
+
+  const match = date.match(/^(\d{1,2})[/.-](\d{1,2})[/.'-](\d{2,4})$/);
+  if (!match) return '';
+
+  const [day, month] = dayFirst ? [match[1], match[2]] : [match[2], match[1]];
+  const year = match[3].length === 2
+    ? `${parseInt(match[3]) > 50 && !date.includes("'") ? '19' : '20'}${match[3]}`
+    : match[3];
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+/**
+ * Match a QIF category ("Category:Subcategory" or "[Account]") to the app's categories
+ * Returns { category, subcategory } or null when there is no match
+ */
+function matchCategory(label, categories) {
+  if (/^\[.*\]$/.test(label)) {
+    return categories.some(c => c.id === 'transfer') ? { category: 'transfer', subcategory: '' } : null;
+  }
+
+  const [name, subName = ''] = label.split(':');
+  const category = categories.find(c =>
+    c.name.toLowerCase() === name.trim().toLowerCase() || c.id === name.trim().toLowerCase()
+  );
+  if (!category) return null;
+
+  const subcategory = (category.subcategories || []).find(s => s.toLowerCase() === subName.trim().toLowerCase());
+  return { category: category.id, subcategory: subcategory || '' };
+}
+
+/**
+ * Turn the records of one account into normalized transactions (the shape of parseRows)
+ */
+function parseRecords(records, { accountName, creditCard, dayFirst, categories }) {
+  const format = { ...QIF_FORMAT, ...(creditCard && { accountType: 'credit_card' }) };
+  // Lines are counted as if the records were rows under a header line, like parseRows does
+  const report = { headerLine: 1, headers: QIF_COLUMNS, rowCount: 0, issues: [] };
+  const transactions = [];
+
+  // Each record is normalized on its own, so its category and memo can't land on another row
+  records.forEach((record, index) => {
+    const values = [
+      qifDateToISO((record.D || '').replace(/\s/g, ''), dayFirst),
+      record.P || record.M || '',
+      record.N || '',
+      record.T ?? record.U ?? ''
+    ];
+    if (values.every(value => !value)) return;
+    report.rowCount++;
+
+    const raw = Object.fromEntries(QIF_COLUMNS.map((column, i) => [column, values[i]]));
+    const transaction = normalizeTransaction(raw, QIF_COLUMNS, format, (level, reason) => {
+      report.issues.push({ line: index + 2, level, reason, raw: values.join('\t') });
+    });
+    if (!transaction) return;
+
+    const category = record.L ? matchCategory(record.L, categories) : null;
+    const notes = [
+      record.P && record.M,
+      record.L && !category && `QIF category: ${record.L}`
+    ].filter(Boolean).join(' · ');
+    transactions.push({
+      ...transaction,
+      ...(category && { category: category.category, subcategory: category.subcategory }),
+      notes
+    });
+  });
+
+  return {
+    transactions: assignTransactionIds(transactions),
+    format: { id: format.id, name: format.name, shortName: format.shortName, accountType: format.accountType },
+    statement: { ...extractStatementMetadata([]), accountName },
+    report
+  };
+}
+
+/**
+ * Parse QIF file content into normalized transactions
+ * Returns one result (the shape of parseRows) per account in the file, as
+ * written by writeQIF for several accounts. QIF categories that match one of
+ * the given categories (by name) are kept; others are noted on the transaction
+ */
+export function parseQIF(content, { categories = [] } = {}) {
+  if (!/^\s*!(type|account)/im.test(content)) {
+    throw new Error('Invalid QIF file: No !Type header found');
+  }
+
+  const accounts = readAccounts(content)
+    .map(account => ({
+      ...account,
+      records: account.records.filter(record => record.D || record.P || record.M || record.T || record.U)
+    }))
+    .filter(account => account.records.length > 0);
+  // Dates are written the same way throughout a file
+  const dayFirst = detectDayFirst(accounts.flatMap(account => account.records.map(record => (record.D || '').replace(/\s/g, ''))));
+
+  if (accounts.length === 0) {
+    return [parseRecords([], { accountName: '', creditCard: false, dayFirst, categories })];
+  }
+  return accounts.map(({ records, accountName, creditCard }) =>
+    parseRecords(records, { accountName, creditCard, dayFirst, categories }));
+}
+
+/**
+ * Format a QIF category label from a transaction's category and subcategory
+ * (":" separates the levels, so it is not allowed inside names)
+ */
+function toQifCategory(transaction, categories) {
+  const category = categories.find(c => c.id === transaction.category);
+  if (!category) return '';
+  const name = category.name.replace(/:/g, '-');
+  return transaction.subcategory ? `${name}:${transaction.subcategory.replace(/:/g, '-')}` : name;
+}
+
+// Every field is a single line, so line breaks in notes are flattened
+const field = (code, value) => `${code}${String(value).replace(/\s*[\r\n]+\s*/g, ' ')}`;
+
+function formatQifDate(iso) {
+  if (!iso) return '';
+  const [year, month, day] = iso.split('-');
+  return `${day}/${month}/${year}`;
+}
+
+/**
+ * Write transactions as QIF, one !Account section per account
+ * Dates are written day-first (DD/MM/YYYY) and categories as Category:Subcategory
+ */
+export function writeQIF(transactions, { categories = [], accounts = [] } = {}) {
+  const byAccount = new Map();
+  [...transactions]
+    .sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+    .forEach(t => {
+      const key = t.accountId || '';
+      if (!byAccount.has(key)) byAccount.set(key, []);
+      byAccount.get(key).push(t);
+    });
+
+  const lines = [];
+  byAccount.forEach((accountTransactions, accountId) => {
+    const account = accounts.find(a => a.id === accountId);
+    const type = account?.type === 'credit_card' ? 'CCard' : 'Bank';
+
+    if (account) {
+      lines.push('!Account', `N${[account.bank, account.accountNumber].filter(Boolean).join(' ')}`, `T${type}`, '^');
+    }
+    lines.push(`!Type:${type}`);
+
+    accountTransactions.forEach(t => {
+      const category = toQifCategory(t, categories);
+      lines.push(
+        `D${formatQifDate(t.date)}`,
+        `T${(t.type === 'credit' ? t.credit : -t.debit).toFixed(2)}`,
+        field('P', t.description),
+        ...(t.notes ? [field('M', t.notes)] : []),
+        ...(t.reference ? [field('N', t.reference)] : []),
+        ...(category ? [`L${category}`] : []),
+        '^'
+      );
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
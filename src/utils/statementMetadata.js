@@ -0,0 +1,113 @@
+import { parseDate, parseAmount } from './tsvParser.js';
+
+const DATE_PATTERN = '(\\d{1,2}[\\/\\-. ](?:\\d{1,2}|[A-Za-z]{3})[\\/\\-. ]\\d{2,4})';
+
+/**
+ * Patterns for the account details printed above the transaction table
+ * Cells are joined with tabs, so a value runs until the next tab
+ */
+const FIELD_PATTERNS = {
+  accountName: /account\s*name[\s:]*([^\t]+)/i,
+  accountNumber: /account\s*(?:no\.?|number)[\s:_]*([0-9Xx*]{6,})/i,
+  branch: /branch(?:\s*name)?[\s:]+([^\t]+)/i,
+  ifsc: /(?:ifsc?|ifs\s*code)[\s:]*([A-Z]{4}0[0-9A-Z]{6})/i,
+  micr: /micr(?:\s*code)?[\s:]*(\d{9})/i,
+  // Card statements print a masked number: "Card Number : XXXX XXXX XXXX 1234"
+  cardNumber: /card\s*(?:no\.?|number)[\s:]*((?:[0-9Xx*]{4}[\s-]?){3}\d{4})/i
+};
+
+// Credit card bill summary: "Total Amount Due : 12,345.00", "Payment Due Date : 05 May 2024"
+const CARD_AMOUNT_PATTERNS = {
+  totalAmountDue: /total\s*amount\s*due[\s:]*(?:rs\.?|₹)?\s*([\d,]+\.\d{2})/i,
+  minimumAmountDue: /min(?:imum)?\.?\s*amount\s*due[\s:]*(?:rs\.?|₹)?\s*([\d,]+\.\d{2})/i,
+  creditLimit: /(?<!available\s*(?:cash\s*)?)credit\s*limit[\s:]*(?:rs\.?|₹)?\s*([\d,]+(?:\.\d{2})?)/i,
+  rewardPoints: /reward\s*points(?:\s*(?:balance|available))?[\s:]*([\d,]+)\b/i
+};
+const DUE_DATE_PATTERN = new RegExp(`payment\\s*due\\s*date[\\s:]*${DATE_PATTERN}`, 'i');
+
+// SBI prints "Balance as on 1 Apr 2024 : 2,000.00"; other banks use Opening/Closing Balance
+const BALANCE_PATTERNS = {
+  openingBalance: new RegExp(`(?:opening\\s*balance|balance\\s*as\\s*on\\s*${DATE_PATTERN})[\\s:]*(-?[\\d,]+\\.\\d{2}(?:\\s*(?:cr|dr))?)`, 'i'),
+  closingBalance: /closing\s*balance[\s:]*(-?[\d,]+\.\d{2}(?:\s*(?:cr|dr))?)/i
+};
+
+const PERIOD_PATTERN = new RegExp(
+  `(?:statement\\s*(?:from|period)|billing\\s*(?:cycle|period)|period|from)[\\s:]*${DATE_PATTERN}\\s*(?:to|-)[\\s:]*${DATE_PATTERN}`,
+  'i'
+);
+
+// SBI account statements print the period on two lines: "Start Date : ..." and "End Date : ..."
+const START_DATE_PATTERN = new RegExp(`start\\s*date[\\s:]*${DATE_PATTERN}`, 'i');
+const END_DATE_PATTERN = new RegExp(`end\\s*date[\\s:]*${DATE_PATTERN}`, 'i');
+
+/**
+ * Extract account, period and balance details from the statement preamble
+ * (plus the bill summary of credit card statements)
+ * Accepts the rows above the header (arrays of cell strings)
+ */
+export function extractStatementMetadata(rows) {
+  const metadata = {
+    accountName: '',
+    accountNumber: '',
+    branch: '',
+    ifsc: '',
+    micr: '',
+    cardNumber: '',
+    periodFrom: null,
+    periodTo: null,
+    openingBalance: null,
+    closingBalance: null,
+    paymentDueDate: null,
+    totalAmountDue: null,
+    minimumAmountDue: null,
+    creditLimit: null,
+    rewardPoints: null
+  };
+
+  rows.forEach(row => {
+    const text = row.map(cell => cell.trim()).filter(Boolean).join('\t');
+    if (!text) return;
+
+    Object.entries(FIELD_PATTERNS).forEach(([field, pattern]) => {
+      if (metadata[field]) return;
+      const match = text.match(pattern);
+      if (match) {
+        metadata[field] = match[1].trim();
+      }
+    });
+
+    Object.entries(BALANCE_PATTERNS).forEach(([field, pattern]) => {
+      if (metadata[field] !== null) return;
+      const match = text.replace(/\t/g, ' ').match(pattern);
+      if (match) {
+        metadata[field] = parseAmount(match[match.length - 1]);
+      }
+    });
+
+    Object.entries(CARD_AMOUNT_PATTERNS).forEach(([field, pattern]) => {
+      if (metadata[field] !== null) return;
+      const match = text.replace(/\t/g, ' ').match(pattern);
+      if (match) {
+        metadata[field] = parseAmount(match[1]);
+      }
+    });
+
+    const due = !metadata.paymentDueDate && text.replace(/\t/g, ' ').match(DUE_DATE_PATTERN);
+    if (due) metadata.paymentDueDate = parseDate(due[1]);
+
+    if (!metadata.periodFrom) {
+      const match = text.replace(/\t/g, ' ').match(PERIOD_PATTERN);
+      if (match) {
+        metadata.periodFrom = parseDate(match[1]);
+        metadata.periodTo = parseDate(match[2]);
+      }
+    }
+
+    const start = !metadata.periodFrom && text.replace(/\t/g, ' ').match(START_DATE_PATTERN);
+    if (start) metadata.periodFrom = parseDate(start[1]);
+    const end = !metadata.periodTo && text.replace(/\t/g, ' ').match(END_DATE_PATTERN);
+    if (end) metadata.periodTo = parseDate(end[1]);
+  });
+
+  return metadata;
+}
@@ -0,0 +1,75 @@
+/**
+ * Text encoding detection for statement files
+ *
+ * Excel's "Unicode Text" export is UTF-16 LE with a byte order mark, older
+ * exports are often Windows-1252, and everything else is UTF-8. The BOM decides
+ * when there is one; otherwise the bytes are checked for the zero bytes UTF-16
+ * puts next to ASCII characters and for valid UTF-8 sequences.
+ */
+
+export const TEXT_ENCODINGS = [
+  { id: 'utf-8', label: 'UTF-8' },
+  { id: 'utf-16le', label: 'UTF-16 LE' },
+  { id: 'utf-16be', label: 'UTF-16 BE' },
+  { id: 'windows-1252', label: 'Windows-1252' }
+];
+
+const SAMPLE_SIZE = 4096;
+
+// Enough of a file to tell valid UTF-8 from a single-byte encoding
+export const DETECTION_SAMPLE_SIZE = 64 * 1024;
+
+/**
+ * Detect the encoding of raw file bytes
+ * Returns { encoding, source } where source is 'bom' or 'heuristic'
+ */
+export function detectEncoding(bytes) {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return { encoding: 'utf-8', source: 'bom' };
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return { encoding: 'utf-16le', source: 'bom' };
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return { encoding: 'utf-16be', source: 'bom' };
+
+  // ASCII text in UTF-16 has a zero byte in every other position
+  const sample = bytes.subarray(0, SAMPLE_SIZE);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+  const pairs = sample.length / 2;
+  if (pairs > 0 && oddZeros / pairs > 0.3 && oddZeros > evenZeros * 4) return { encoding: 'utf-16le', source: 'heuristic' };
+  if (pairs > 0 && evenZeros / pairs > 0.3 && evenZeros > oddZeros * 4) return { encoding: 'utf-16be', source: 'heuristic' };
+
+  // A multi-byte character cut off at the end of the sample is not an error in stream mode
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes.subarray(0, DETECTION_SAMPLE_SIZE), { stream: true });
+    return { encoding: 'utf-8', source: 'heuristic' };
+  } catch {
+    return { encoding: 'windows-1252', source: 'heuristic' };
+  }
+}
+
+/**
+ * Decode file bytes as text, detecting the encoding unless one is given
+ * Returns { text, encoding, detected } (detected is false for a manual choice)
+ */
+export function decodeText(buffer, encoding = 'auto') {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const chosen = encoding === 'auto' ? detectEncoding(bytes).encoding : encoding;
+
+  return {
+    // TextDecoder drops a matching BOM by itself
+    text: new TextDecoder(chosen).decode(bytes),
+    encoding: chosen,
+    detected: encoding === 'auto'
+  };
+}
+
+/**
+ * Get the display label of an encoding
+ */
+export function getEncodingLabel(encoding) {
+  return TEXT_ENCODINGS.find(e => e.id === encoding)?.label || encoding;
+}
@@ -0,0 +1,84 @@
+/**
+ * Deterministic transaction identity
+ *
+ * IDs are derived from what the bank printed for the row - date, value date,
+ * reference number, amounts and running balance - so re-importing an
+ * overlapping statement yields the same IDs. The narration is left out on
+ * purpose: cleaning rules change it after import.
+ */
+
+/**
+ * 53-bit string hash (cyrb53), good enough to tell statement rows apart
+ */
+function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+const formatAmount = (value) => (Number(value) || 0).toFixed(2);
+
+/**
+ * Build the content key a transaction ID is hashed from
+ */
+export function getTransactionKey(transaction) {
+  return [
+    transaction.date || '',
+    transaction.valueDate || '',
+    (transaction.reference || '').trim().toUpperCase(),
+    formatAmount(transaction.debit),
+    formatAmount(transaction.credit),
+    formatAmount(transaction.balance)
+  ].join('|');
+}
+
+/**
+ * Create the ID for a transaction from its content
+ */
+export function createTransactionId(transaction) {
+  return `txn_${hashString(getTransactionKey(transaction))}`;
+}
+
+/**
+ * Give every transaction a content ID, numbering repeats in statement order
+ * Two genuine identical payments on one day (same amount, no balance or
+ * reference to tell them apart) become txn_x and txn_x_2 instead of merging
+ */
+export function assignTransactionIds(transactions) {
+  const seen = {};
+  return transactions.map(transaction => {
+    const id = createTransactionId(transaction);
+    seen[id] = (seen[id] || 0) + 1;
+    return { ...transaction, id: seen[id] > 1 ? `${id}_${seen[id]}` : id };
+  });
+}
+
+/**
+ * Map the identities of stored transactions (stored and content IDs, as in
+ * getTransactionIdentities) to the transaction they belong to
+ */
+export function mapTransactionIdentities(transactions) {
+  const byIdentity = new Map(transactions.map(t => [t.id, t]));
+  assignTransactionIds(transactions).forEach((t, index) => {
+    if (!byIdentity.has(t.id)) byIdentity.set(t.id, transactions[index]);
+  });
+  return byIdentity;
+}
+
+/**
+ * Collect the identities of stored transactions to check imports against
+ * Includes both the stored IDs and the content IDs, so transactions saved
+ * with older random IDs are still recognized
+ */
+export function getTransactionIdentities(transactions) {
+  const identities = new Set(transactions.map(t => t.id));
+  assignTransactionIds(transactions).forEach(t => identities.add(t.id));
+  return identities;
+}
@@ -0,0 +1,154 @@
+/**
+ * Recognize money moving between the user's own accounts
+ *
+ * These rows are real, but counting them would show the same rupee twice:
+ * a credit card bill paid from savings is spending already counted on the
+ * card, and a sweep or transfer credit is not income.
+ *
+ * Besides the narration patterns, a debit in one account and a credit of the
+ * same amount in another within a few days are matched as a transfer pair -
+ * but only when the rows themselves point to a transfer (a shared reference,
+ * the other account's number, or transfer narrations on both sides). The user
+ * can unpair a match, which marks both rows transferUnpaired.
+ */
+
+// Days a transfer may take to show up on the receiving account
+const TRANSFER_MATCH_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SBI savings narrations for card bills: "TO TRANSFER-INB SBI Card Payment",
+// "UPI/DR/.../SBI CARD/SBIN/sbicard.pay@sbi/...", "BILLDESK*SBI CARDS"
+const CARD_BILL_PATTERN = /SBI\s*CARDS?|CARDS\s*(AND|&)\s*PAYMENT|CREDIT\s*CARD\s*(BILL|PAYMENT|PAYMT)|\bCC\s*(BILL|PAYMENT)\b/i;
+
+// Own-account transfers that say so: "TO TRANSFER-INB SELF", "IMPS/P2A/.../OWN A/C"
+const SELF_TRANSFER_PATTERN = /\bSELF\b|\bOWN\s*(A\/?C|ACCOUNT)\b/i;
+
+// UTRs, UPI/IMPS references and account numbers are runs of 9 or more digits
+const REFERENCE_PATTERN = /\d{9,}/g;
+
+const narrationOf = (transaction) => transaction.rawDescription || transaction.description || '';
+
+/**
+ * Check whether a transaction is a credit card bill payment
+ * (the debit on the bank account, or the payment received on the card)
+ */
+export function isCardBillPayment(transaction) {
+  if (transaction.card) return Boolean(transaction.card.payment);
+  return transaction.type === 'debit' && CARD_BILL_PATTERN.test(narrationOf(transaction));
+}
+
+/**
+ * Check whether a transaction is a transfer, excluded from spending and income
+ */
+export function isTransfer(transaction) {
+  return Boolean(transaction.transferPairId) || isNarratedTransfer(transaction);
+}
+
+/**
+ * Check whether the narration alone marks a transaction as a transfer
+ */
+function isNarratedTransfer(transaction) {
+  const upperDesc = transaction.description?.toUpperCase() || '';
+  // SWEEP transactions are automatic transfers between accounts
+  if (upperDesc.includes('SWEEP')) return true;
+  // TRANSFER CREDIT is a transfer between accounts, not income
+  if (upperDesc.includes('TRANSFER CREDIT') || upperDesc.includes('TRF CREDT')) return true;
+  if (isCardBillPayment(transaction)) return true;
+  // An EMI conversion credits back a purchase already counted; the principal
+  // installments repay it, so only EMI interest and fees are new spending
+  const emiKind = transaction.card?.emi?.kind;
+  return emiKind === 'conversion' || emiKind === 'principal';
+}
+
+/**
+ * Reference numbers in a transaction's reference column and narration
+ */
+function referencesOf(transaction) {
+  const references = new Set(narrationOf(transaction).match(REFERENCE_PATTERN) || []);
+  const reference = (transaction.reference || '').trim().toUpperCase();
+  if (reference.length >= 6) references.add(reference);
+  return references;
+}
+
+/**
+ * Check whether a narration names an account, in full or masked ("XXXXXXX1234")
+ */
+function mentionsAccount(transaction, account) {
+  const digits = (account?.accountNumber || '').replace(/\D/g, '');
+  if (digits.length < 4) return false;
+  const narration = narrationOf(transaction).toUpperCase();
+  return (narration.match(/\d+/g) || []).includes(digits) ||
+    new RegExp(`[X*]{2,}${digits.slice(-4)}\\b`).test(narration);
+}
+
+/**
+ * Check whether a debit and a credit of the same amount point to each other:
+ * a shared reference (UTR), one naming the other's account number, or both
+ * reading as transfers on their own
+ */
+function looksLikeTransferPair(debit, credit, accountsById, references) {
+  const debitReferences = references(debit);
+  if ([...references(credit)].some(reference => debitReferences.has(reference))) return true;
+  if (mentionsAccount(debit, accountsById.get(credit.accountId)) ||
+    mentionsAccount(credit, accountsById.get(debit.accountId))) return true;
+  const readsAsTransfer = (t) => isNarratedTransfer(t) || SELF_TRANSFER_PATTERN.test(narrationOf(t));
+  return readsAsTransfer(debit) && readsAsTransfer(credit);
+}
+
+/**
+ * Match debits with credits of the same amount in another of the user's
+ * accounts, at most TRANSFER_MATCH_DAYS apart (the closest date wins), when
+ * the two rows look like the same transfer (see looksLikeTransferPair)
+ * Rows the user unpaired (transferUnpaired) are left alone
+ * Returns a Map from each paired transaction id to its partner's id
+ */
+export function matchTransferPairs(transactions, accounts = []) {
+  const accountsById = new Map(accounts.map(account => [account.id, account]));
+  const referenceCache = new Map();
+  const references = (t) => {
+    if (!referenceCache.has(t.id)) referenceCache.set(t.id, referencesOf(t));
+    return referenceCache.get(t.id);
+  };
+
+  const creditsByAmount = new Map();
+  transactions.forEach(t => {
+    if (t.type !== 'credit' || !t.accountId || !t.date || !(t.credit > 0) || t.transferUnpaired) return;
+    const key = t.credit.toFixed(2);
+    if (!creditsByAmount.has(key)) creditsByAmount.set(key, []);
+    creditsByAmount.get(key).push(t);
+  });
+
+  const pairs = new Map();
+  transactions
+    .filter(t => t.type === 'debit' && t.accountId && t.date && t.debit > 0 && !t.transferUnpaired)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .forEach(debit => {
+      const debitTime = new Date(debit.date).getTime();
+      let best = null;
+      let bestGap = Infinity;
+      (creditsByAmount.get(debit.debit.toFixed(2)) || []).forEach(credit => {
+        if (credit.accountId === debit.accountId || pairs.has(credit.id)) return;
+        const gap = Math.abs(new Date(credit.date).getTime() - debitTime);
+        if (gap <= TRANSFER_MATCH_DAYS * DAY_MS && gap < bestGap &&
+          looksLikeTransferPair(debit, credit, accountsById, references)) {
+          best = credit;
+          bestGap = gap;
+        }
+      });
+      if (best) {
+        pairs.set(debit.id, best.id);
+        pairs.set(best.id, debit.id);
+      }
+    });
+  return pairs;
+}
+
+/**
+ * Copies of the paired transactions with transferPairId set (others unchanged),
+ * so isTransfer leaves both sides out of income and spending
+ */
+export function markTransferPairs(transactions, accounts = []) {
+  const pairs = matchTransferPairs(transactions, accounts);
+  if (pairs.size === 0) return transactions;
+  return transactions.map(t => pairs.has(t.id) ? { ...t, transferPairId: pairs.get(t.id) } : t);
+}
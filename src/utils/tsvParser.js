@@ -1,49 +1,238 @@
+import {
+  getBankFormat,
+  getBankFormats,
+  detectBankFormat,
+  scoreBankFormat,
+  resolveColumns,
+  isHeaderRow,
+  cleanNarration,
+  buildMappedFormat,
+  DEFAULT_BANK_FORMAT_ID
+} from './bankFormats.js';
+import { extractStatementMetadata } from './statementMetadata.js';
+import { createTransactionId, assignTransactionIds } from './transactionIdentity.js';
+import { decodeUpiNarration } from './upiDecoder.js';
+import { classifyNarration } from './channelClassifier.js';
+import { applyCleaningRules, DEFAULT_CLEANING_RULES } from './narrationCleaning.js';
+import { decodeCardNarration } from './cardStatement.js';
+
+// Rows between progress callbacks in parseRows
+const PROGRESS_INTERVAL = 500;
+
+// Lines the bank format and header row are looked for in
+const HEADER_SEARCH_LINES = 50;
+
 /**
- * Parse TSV content from SBI bank statement
- * Supports two formats:
+ * Parse delimited text content from a bank statement
+ * The bank format (delimiter, header aliases, amount style) is detected from the content
+ * unless one is passed in. SBI supports two layouts:
  * 1. Standard: Txn Date, Value Date, Description, Ref No./Cheque No., Debit, Credit, Balance
  * 2. Extended: Date, Details, Ref No/Cheque No, Debit, Credit, Balance (with header info to skip)
+ * Options: format (skip detection), mapping and onProgress (see parseRows)
  */
-export function parseTSV(content) {
+export function parseTSV(content, { format = null, mapping = null, onProgress = null } = {}) {
   // First, handle multi-line quoted fields by normalizing them
-  const normalizedContent = normalizeMultiLineFields(content);
-  const lines = normalizedContent.trim().split('\n');
+  const lines = splitLines(content);
   
   if (lines.length < 2) {
     throw new Error('Invalid TSV file: No data rows found');
   }
 
-  // Find the header row - it should contain transaction column names
-  const { headerIndex, headers } = findHeaderRow(lines);
+  const bankFormat = format || detectTextFormat(lines);
+  const delimiter = mapping?.delimiter || bankFormat.delimiter;
+  return parseRows(lines.map(line => parseDelimitedLine(line, delimiter)), { format: bankFormat, mapping, onProgress });
+}
+
+/**
+ * Split delimited text content into rows of cells
+ * Used to preview a file whose header could not be detected
+ */
+export function splitRows(content, delimiter = '\t') {
+  return splitLines(content).map(line => parseDelimitedLine(line, delimiter));
+}
+
+/**
+ * Parse statement text as it is read, chunk by chunk, so a large file is never
+ * held as one string: lines are split as they complete (quoted fields may span
+ * lines), the bank format and header are found in the first HEADER_SEARCH_LINES
+ * lines like parseTSV does, and every line after that is normalized right away.
+ * Returns { push(text), finish() }; finish() returns the parseTSV result, or
+ * throws HEADER_NOT_FOUND with the text read as content when there is no header
+ */
+export function createTSVStreamParser() {
+  let buffer = '';
+  let scanned = 0;
+  let inQuote = false;
+  let lineIndex = 0;
+  let head = []; // lines until the header search is done; all of them without a header
+  let parser = null; // { delimiter, reader, headerRows } once the header is found
+  let headerMissing = false;
+
+  const searchHeader = () => {
+    const bankFormat = detectTextFormat(head);
+    const rows = head.map(line => parseDelimitedLine(line, bankFormat.delimiter));
+    const { headerIndex, headers } = findHeaderRow(rows, bankFormat);
+    if (headerIndex === -1) {
+      headerMissing = true;
+      return;
+    }
+    const reader = createRowReader(headers, bankFormat, headerIndex);
+    rows.slice(headerIndex + 1).forEach((row, i) => reader.read(row, headerIndex + 1 + i));
+    parser = { delimiter: bankFormat.delimiter, reader, headerRows: rows.slice(0, headerIndex) };
+    head = [];
+  };
+
+  const takeLine = (rawLine) => {
+    // Line breaks inside quotes become spaces, as in normalizeMultiLineFields
+    const line = rawLine.replace(/\r?\n/g, ' ');
+    // Leading blank lines are trimmed off, as in splitLines
+    if (lineIndex === 0 && head.length === 0 && !parser && !line.trim()) return;
+
+    if (parser) {
+      parser.reader.read(parseDelimitedLine(line, parser.delimiter), lineIndex);
+    } else {
+      head.push(line);
+      if (head.length === HEADER_SEARCH_LINES && !headerMissing) searchHeader();
+    }
+    lineIndex++;
+  };
+
+  const push = (text) => {
+    buffer += text;
+    let start = 0;
+    for (let i = scanned; i < buffer.length; i++) {
+      const char = buffer[i];
+      if (char === '"') {
+        inQuote = !inQuote;
+      } else if (char === '\n' && !inQuote) {
+        takeLine(buffer.slice(start, i));
+        start = i + 1;
+      }
+    }
+    buffer = buffer.slice(start);
+    scanned = buffer.length;
+  };
+
+  const finish = () => {
+    if (buffer.trim()) takeLine(buffer);
+    buffer = '';
+
+    if (!parser && !headerMissing) {
+      // Drop trailing blank lines, as splitLines trims them
+      while (head.length > 0 && !head[head.length - 1].trim()) head.pop();
+      if (head.length < 2) {
+        throw new Error('Invalid TSV file: No data rows found');
+      }
+      searchHeader();
+    }
+
+    if (!parser) {
+      const error = new Error('Could not find header row with transaction columns (Date, Description/Details, Debit, Credit, Balance)');
+      error.code = 'HEADER_NOT_FOUND';
+      error.content = head.join('\n');
+      throw error;
+    }
+    return parser.reader.finish(parser.headerRows);
+  };
+
+  return { push, finish };
+}
+
+function splitLines(content) {
+  return normalizeMultiLineFields(content).trim().split('\n');
+}
+
+/**
+ * Detect the bank format of text lines, splitting them with each profile's delimiter
+ */
+function detectTextFormat(lines) {
+  let best = { format: getBankFormat(DEFAULT_BANK_FORMAT_ID), score: 0 };
+  const sample = lines.slice(0, HEADER_SEARCH_LINES);
+
+  getBankFormats().forEach(format => {
+    const rows = sample.map(line => parseDelimitedLine(line, format.delimiter));
+    const score = scoreBankFormat(format, rows);
+    if (score > best.score) {
+      best = { format, score };
+    }
+  });
+
+  return best.format;
+}
+
+/**
+ * Parse statement rows (arrays of cell strings) into normalized transactions
+ * Shared by every input format so header detection and normalization stay identical
+ * Returns the transactions, the bank format they were read with, the account and
+ * period details found above the header (see extractStatementMetadata) and a parse report
+ * ({ headerLine, headers, rowCount, issues }) listing every row that was dropped
+ * (level 'error') or kept with a problem (level 'warning'), by line number
+ *
+ * A column mapping ({ headerIndex, columns: { date: 0, description: 2, ... }, name })
+ * bypasses header detection. Without one, a missing header throws an error with
+ * code HEADER_NOT_FOUND and the rows attached, so the caller can ask for a mapping.
+ * onProgress(rowsDone, rowCount) is called every PROGRESS_INTERVAL rows and at the end.
+ */
+export function parseRows(rows, { format = null, mapping = null, onProgress = null } = {}) {
+  if (rows.length < 2) {
+    throw new Error('Invalid statement: No data rows found');
+  }
+
+  let bankFormat = format || detectBankFormat(rows);
+  let headerIndex;
+  let headers;
+
+  if (mapping) {
+    // Name every column positionally and point the format's aliases at the mapped ones
+    // A loop rather than Math.max(...): one argument per row overflows the stack on large files
+    const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    headerIndex = mapping.headerIndex;
+    headers = Array.from({ length: columnCount }, (_, i) => `Column ${i + 1}`);
+    bankFormat = buildMappedFormat(mapping.columns, bankFormat, mapping.name);
+  } else {
+    // Find the header row - it should contain transaction column names
+    ({ headerIndex, headers } = findHeaderRow(rows, bankFormat));
+  }
   
-  if (headerIndex === -1) {
-    throw new Error('Could not find header row with transaction columns (Date, Description/Details, Debit, Credit, Balance)');
+  if (headerIndex === -1 && !mapping) {
+    const error = new Error('Could not find header row with transaction columns (Date, Description/Details, Debit, Credit, Balance)');
+    error.code = 'HEADER_NOT_FOUND';
+    error.rows = rows;
+    throw error;
   }
 
+  const reader = createRowReader(headers, bankFormat, headerIndex);
+  for (let i = headerIndex + 1; i < rows.length; i++) {
+    if (onProgress && i % PROGRESS_INTERVAL === 0) onProgress(i, rows.length);
+    reader.read(rows[i], i);
+  }
+
+  onProgress?.(rows.length, rows.length);
+  return reader.finish(rows.slice(0, Math.max(headerIndex, 0)));
+}
+
+/**
+ * Normalize the rows below a header one at a time (index: the row's position
+ * in the file), collecting transactions and the parse report; finish() takes
+ * the rows above the header and returns the parseRows result
+ */
+function createRowReader(headers, bankFormat, headerIndex) {
   const transactions = [];
+  const report = {
+    headerLine: headerIndex + 1,
+    headers,
+    rowCount: 0,
+    issues: []
+  };
 
-  // Log headers with their indices for debugging
-  console.log('Found header row at line:', headerIndex);
-  console.log('Parsed headers:', headers);
-  console.log('Header count:', headers.length);
-  headers.forEach((h, i) => console.log(`  Header[${i}]: "${h}"`));
+  const read = (row, index) => {
+    const values = row.map(v => v.trim());
 
-  for (let i = headerIndex + 1; i < lines.length; i++) {
-    // Split by tab but preserve the raw values first
-    const rawValues = parseTabSeparatedLine(lines[i]);
-    const values = rawValues.map(v => v.trim());
-    
     // Skip empty lines
     if (values.every(v => !v)) {
-      continue;
-    }
-    
-    // Log first few transactions for debugging
-    if (transactions.length < 3) {
-      console.log(`\n--- Row ${i} ---`);
-      console.log('Values count:', values.length);
-      values.forEach((v, idx) => console.log(`  Value[${idx}]: "${v.substring(0, 50)}${v.length > 50 ? '...' : ''}"`));
+      return;
     }
+    report.rowCount++;
 
     // Allow rows with fewer values (pad with empty strings)
     while (values.length < headers.length) {
@@ -55,45 +244,55 @@ export function parseTSV(content) {
       transaction[header] = values[index] || '';
     });
 
-    // Normalize common SBI statement fields
-    const normalizedTransaction = normalizeTransaction(transaction, headers, transactions.length < 3);
+    // Normalize statement fields using the bank format
+    const normalizedTransaction = normalizeTransaction(transaction, headers, bankFormat, (level, reason) => {
+      report.issues.push({ line: index + 1, level, reason, raw: row.join('\t') });
+    });
     if (normalizedTransaction) {
       transactions.push(normalizedTransaction);
     }
-  }
+  };
 
-  return transactions;
+  const finish = (headerRows) => ({
+    // Number repeated content IDs (identical payments on the same day) in statement order
+    transactions: assignTransactionIds(transactions),
+    format: { id: bankFormat.id, name: bankFormat.name, shortName: bankFormat.shortName, accountType: bankFormat.accountType },
+    statement: extractStatementMetadata(headerRows),
+    report
+  });
+
+  return { read, finish };
 }
 
 /**
- * Find the header row in the content
+ * Find the header row in the statement rows
  * Skips info lines and finds the row with transaction column headers
  */
-function findHeaderRow(lines) {
-  const requiredColumns = ['date', 'debit', 'credit', 'balance'];
-  const descriptionColumns = ['description', 'details', 'particulars', 'narration'];
-  
-  for (let i = 0; i < Math.min(lines.length, 50); i++) {
-    const line = lines[i];
-    const columns = parseTabSeparatedLine(line).map(h => h.trim().toLowerCase());
+export function findHeaderRow(rows, format = getBankFormat(DEFAULT_BANK_FORMAT_ID)) {
+  for (let i = 0; i < Math.min(rows.length, HEADER_SEARCH_LINES); i++) {
+    const columns = rows[i].map(h => h.trim());
     
-    // Check if this line has the required columns
-    const hasDate = columns.some(c => c.includes('date') && !c.includes('statement') && !c.includes('open'));
-    const hasDebit = columns.some(c => requiredColumns.slice(1).some(req => c.includes(req)));
-    const hasDescription = columns.some(c => descriptionColumns.some(desc => c.includes(desc)));
-    
-    if (hasDate && hasDebit && hasDescription) {
+    // Check if this line has the date, description and amount columns of the format
+    if (isHeaderRow(columns, format)) {
       // Found the header row
-      const headers = parseTabSeparatedLine(line).map(h => h.trim());
-      return { headerIndex: i, headers };
+      return { headerIndex: i, headers: uniqueHeaders(columns) };
     }
   }
   
-  // Fallback: assume first line is header (old behavior)
-  return { 
-    headerIndex: 0, 
-    headers: parseTabSeparatedLine(lines[0]).map(h => h.trim()) 
-  };
+  // No header found - callers fall back to a manual column mapping
+  return { headerIndex: -1, headers: [] };
+}
+
+/**
+ * Make repeated header names unique (e.g. Kotak's two "Dr / Cr" columns)
+ * so every column keeps its own value in the row object
+ */
+function uniqueHeaders(headers) {
+  const seen = {};
+  return headers.map(header => {
+    seen[header] = (seen[header] || 0) + 1;
+    return seen[header] > 1 ? `${header} (${seen[header]})` : header;
+  });
 }
 
 /**
@@ -101,30 +300,18 @@ function findHeaderRow(lines) {
  * SBI statements sometimes have descriptions that span multiple lines
  */
 function normalizeMultiLineFields(content) {
-  let result = '';
-  let inQuote = false;
-  
-  for (let i = 0; i < content.length; i++) {
-    const char = content[i];
-    
-    if (char === '"') {
-      inQuote = !inQuote;
-      result += char;
-    } else if (char === '\n' && inQuote) {
-      // Replace newline inside quotes with a space
-      result += ' ';
-    } else {
-      result += char;
-    }
-  }
-  
-  return result;
+  // Splitting on quotes puts every quoted span at an odd index; replacing whole
+  // spans keeps this linear on multi-year statements
+  return content
+    .split('"')
+    .map((part, index) => index % 2 === 1 ? part.replace(/\r?\n/g, ' ') : part)
+    .join('"');
 }
 
 /**
- * Parse a tab-separated line, handling quoted fields
+ * Parse a delimited (tab-separated by default) line, handling quoted fields
  */
-function parseTabSeparatedLine(line) {
+function parseDelimitedLine(line, delimiter = '\t') {
   const result = [];
   let current = '';
   let inQuote = false;
@@ -135,7 +322,7 @@ function parseTabSeparatedLine(line) {
     if (char === '"') {
       inQuote = !inQuote;
       // Don't include the quote in the value
-    } else if (char === '\t' && !inQuote) {
+    } else if (char === delimiter && !inQuote) {
       result.push(current.trim());
       current = '';
     } else {
@@ -151,59 +338,66 @@ function parseTabSeparatedLine(line) {
 
 /**
  * Normalize transaction to a standard format
+ * Problems are passed to onIssue(level, reason): 'error' when the row is skipped
+ * (null is returned), 'warning' when it is kept with a missing or zero value
  */
-function normalizeTransaction(raw, headers, shouldLog = false) {
-  // Try to identify columns by common names
-  const dateKey = findKey(headers, ['txn date', 'transaction date', 'date', 'txn_date']);
-  const valueDateKey = findKey(headers, ['value date', 'value_date', 'valdate']);
-  const descKey = findKey(headers, ['description', 'particulars', 'narration', 'desc', 'details']);
-  const refKey = findKey(headers, ['ref no', 'ref no.', 'cheque no', 'cheque no.', 'ref no./cheque no.', 'ref no/cheque no', 'reference']);
-  const debitKey = findKey(headers, ['debit', 'withdrawal', 'dr', 'debit amount']);
-  const creditKey = findKey(headers, ['credit', 'deposit', 'cr', 'credit amount']);
-  const balanceKey = findKey(headers, ['balance', 'closing balance', 'available balance']);
-
-  // Debug logging
-  if (shouldLog) {
-    console.log('Keys found:', { dateKey, valueDateKey, descKey, refKey, debitKey, creditKey, balanceKey });
-    console.log('Key indices:', {
-      dateKey: headers.indexOf(dateKey),
-      descKey: headers.indexOf(descKey),
-      debitKey: headers.indexOf(debitKey),
-      creditKey: headers.indexOf(creditKey),
-      balanceKey: headers.indexOf(balanceKey)
-    });
-    console.log('Raw values for debit/credit/balance:', { 
-      debit: raw[debitKey], 
-      credit: raw[creditKey], 
-      balance: raw[balanceKey] 
-    });
-  }
+export function normalizeTransaction(raw, headers, format = getBankFormat(DEFAULT_BANK_FORMAT_ID), onIssue = () => {}) {
+  // Identify columns using the bank format's header aliases
+  const columns = resolveColumns(headers, format);
 
-  const date = raw[dateKey] || '';
-  const description = raw[descKey] || '';
+  const date = raw[columns.date] || '';
+  const description = raw[columns.description] || '';
   
   // Skip if no date or description
-  if (!date || !description) {
+  if (!date) {
+    onIssue('error', 'missing date');
+    return null;
+  }
+  if (!description) {
+    onIssue('error', 'missing description');
     return null;
   }
 
-  const debitRaw = raw[debitKey];
-  const creditRaw = raw[creditKey];
-  
-  const debit = parseAmount(debitRaw);
-  const credit = parseAmount(creditRaw);
-  const balance = parseAmount(raw[balanceKey]);
+  const parsedDate = parseDate(date, format.dateFormats);
+  if (!parsedDate) {
+    onIssue('warning', 'date unparsable');
+  }
 
-  if (shouldLog) {
-    console.log('Parsed amounts:', { debitRaw, creditRaw, debit, credit, balance });
+  ['debit', 'credit', 'amount', 'balance'].forEach(field => {
+    const value = raw[columns[field]];
+    if (value && !isNumericAmount(value)) {
+      onIssue('warning', `${field === 'balance' ? 'balance' : 'amount'} not numeric`);
+    }
+  });
+
+  const { debit, credit } = parseDebitCredit(raw, columns, format.amountStyle);
+  const balance = parseAmount(raw[columns.balance]);
+  const isCard = format.accountType === 'credit_card';
+  const card = isCard ? {
+    last4: (raw[columns.cardNumber] || '').replace(/\D/g, '').slice(-4),
+    rewardPoints: parseAmount(raw[columns.rewardPoints]),
+    ...decodeCardNarration(description)
+  } : null;
+  let { channel, details: channelDetails } = classifyNarration(description);
+  // Card purchases carry no channel keyword of their own
+  if (isCard && channel === 'other' && debit > 0) {
+    channel = 'pos';
   }
 
-  return {
-    id: generateId(),
-    date: parseDate(date),
-    valueDate: raw[valueDateKey] ? parseDate(raw[valueDateKey]) : null,
-    description: cleanDescription(description),
-    reference: raw[refKey] || '',
+  const transaction = {
+    date: parsedDate,
+    valueDate: raw[columns.valueDate] ? parseDate(raw[columns.valueDate], format.dateFormats) : null,
+    // The bank's narration is kept as-is; description is the cleaned display text
+    // (default rules here, the user's rules are applied on import)
+    rawDescription: description.replace(/\s+/g, ' ').trim(),
+    description: applyCleaningRules(cleanNarration(description, format), DEFAULT_CLEANING_RULES),
+    formatId: format.baseId || format.id,
+    // Decoded before cleaning, which strips the UPI reference
+    upi: decodeUpiNarration(description),
+    ...(card && { card }),
+    channel,
+    channelDetails,
+    reference: raw[columns.reference] || '',
     debit: debit,
     credit: credit,
     balance: balance,
@@ -213,78 +407,48 @@ function normalizeTransaction(raw, headers, shouldLog = false) {
     subcategory: null,
     notes: ''
   };
-}
 
-/**
- * Clean up description by removing unnecessary patterns
- */
-function cleanDescription(description) {
-  if (!description) return '';
-  
-  let cleaned = description;
-  
-  // Remove UPI transfer patterns like "TO TRANSFER-UPI/DR/50991133328/"
-  cleaned = cleaned.replace(/TO TRANSFER-UPI\/[A-Z]+\/\d+\//gi, '');
-  cleaned = cleaned.replace(/BY TRANSFER-UPI\/[A-Z]+\/\d+\//gi, '');
-  
-  // Remove common SBI noise patterns
-  cleaned = cleaned.replace(/UPI\/DR\/\d+\//gi, '');
-  cleaned = cleaned.replace(/UPI\/CR\/\d+\//gi, '');
-  cleaned = cleaned.replace(/\/DR\/\d+\//gi, '');
-  cleaned = cleaned.replace(/\/CR\/\d+\//gi, '');
-  
-  // Clean up multiple spaces and trim
-  cleaned = cleaned.replace(/\s+/g, ' ').trim();
-  
-  return cleaned;
+  // The ID comes from the row content, so re-imports of the same row match
+  return { id: createTransactionId(transaction), ...transaction };
 }
 
 /**
- * Find matching header key (case-insensitive)
- * Uses exact match or word-boundary matching to avoid false positives
- * (e.g., 'cr' should not match 'Description')
+ * Read debit and credit amounts according to the format's amount style
  */
-function findKey(headers, possibleNames) {
-  // First pass: try exact match
-  for (const header of headers) {
-    const lowerHeader = header.toLowerCase().trim();
-    for (const name of possibleNames) {
-      if (lowerHeader === name.toLowerCase()) {
-        return header;
-      }
-    }
+function parseDebitCredit(raw, columns, amountStyle) {
+  if (amountStyle === 'split') {
+    return {
+      debit: Math.abs(parseAmount(raw[columns.debit])),
+      credit: Math.abs(parseAmount(raw[columns.credit]))
+    };
   }
-  
-  // Second pass: try word-boundary match for multi-word headers
-  // e.g., "Ref No./Cheque No." should match "ref no"
-  for (const header of headers) {
-    const lowerHeader = header.toLowerCase().trim();
-    for (const name of possibleNames) {
-      const lowerName = name.toLowerCase();
-      // Only match if the name appears as a complete word or phrase
-      // Use word boundary check - name must be at start/end or surrounded by non-alphanumeric chars
-      const regex = new RegExp(`(^|[^a-z])${escapeRegex(lowerName)}([^a-z]|$)`);
-      if (regex.test(lowerHeader)) {
-        return header;
-      }
-    }
+
+  const value = parseAmount(raw[columns.amount]);
+  let isDebit;
+
+  if (amountStyle === 'indicator') {
+    isDebit = /^d/i.test((raw[columns.drCr] || '').trim());
+  } else if (amountStyle === 'suffix' && raw[columns.drCr]) {
+    // Card exports put the suffix in its own Type column
+    isDebit = !/^c/i.test(raw[columns.drCr].trim());
+  } else if (amountStyle === 'suffix') {
+    // Amounts without a "Cr" (or card-style "C") suffix are charges
+    isDebit = !/(^|[^a-z])cr?\.?\)?$/i.test((raw[columns.amount] || '').trim());
+  } else {
+    isDebit = value < 0;
   }
-  
-  return null;
-}
 
-/**
- * Escape special regex characters
- */
-function escapeRegex(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return isDebit
+    ? { debit: Math.abs(value), credit: 0 }
+    : { debit: 0, credit: Math.abs(value) };
 }
 
 /**
  * Parse amount string to number
  * Handles formats like: "1,131.19", "2,83,295.35", 940.36, 219, empty strings
+ * Amounts marked "Dr"/"D" or wrapped in parentheses are negative; "Cr"/"C" is positive
  */
-function parseAmount(value) {
+export function parseAmount(value) {
   if (!value || typeof value !== 'string') return 0;
   
   // Trim whitespace
@@ -303,99 +467,91 @@ function parseAmount(value) {
   cleaned = cleaned.replace(/,/g, '');
   
   // Remove currency symbols
-  cleaned = cleaned.replace(/[₹$]/g, '').trim();
+  cleaned = cleaned.replace(/[₹$]/g, '').replace(/^(inr|rs\.?)\s*/i, '').trim();
+
+  // Dr/Cr suffixes and accounting-style parentheses carry the sign
+  let sign = 1;
+  const suffix = cleaned.match(/\(?\s*(dr?|cr?)\.?\s*\)?$/i);
+  if (suffix) {
+    sign = suffix[1][0].toLowerCase() === 'd' ? -1 : 1;
+    cleaned = cleaned.slice(0, suffix.index).trim();
+  }
+  if (/^\(.*\)$/.test(cleaned)) {
+    sign = -1;
+    cleaned = cleaned.slice(1, -1).trim();
+  }
   
   const num = parseFloat(cleaned);
-  return isNaN(num) ? 0 : num;
+  return isNaN(num) ? 0 : sign * num;
+}
+
+/**
+ * Check that a non-empty amount cell holds a number parseAmount can read
+ * (placeholders like "-" count as empty)
+ */
+function isNumericAmount(value) {
+  const cleaned = value
+    .replace(/["',\s₹$]/g, '')
+    .replace(/^(inr|rs\.?)/i, '')
+    .replace(/\(?(dr?|cr?)\.?\)?$/i, '');
+  return cleaned === '' || /^-+$/.test(cleaned) || /^[-+]?\(?\d*\.?\d+\)?$/.test(cleaned);
 }
 
+const MONTHS = {
+  'jan': '01', 'feb': '02', 'mar': '03', 'apr': '04',
+  'may': '05', 'jun': '06', 'jul': '07', 'aug': '08',
+  'sep': '09', 'oct': '10', 'nov': '11', 'dec': '12'
+};
+
+const toFullYear = (year) => year.length === 2 ? (parseInt(year) > 50 ? `19${year}` : `20${year}`) : year;
+
+// Day and month must be in range, so "32/13/2024" is reported instead of stored
+const numericDate = ([, day, month, year]) =>
+  parseInt(day) >= 1 && parseInt(day) <= 31 && parseInt(month) >= 1 && parseInt(month) <= 12
+    ? `${toFullYear(year)}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`
+    : null;
+
+const monthNameDate = ([, day, monthStr, year]) => {
+  const month = MONTHS[monthStr.toLowerCase()];
+  return month ? `${toFullYear(year)}-${month}-${day.padStart(2, '0')}` : null;
+};
+
+/**
+ * Date formats understood by parseDate, keyed by the names bank formats declare
+ * Numeric separators are flexible, so 'DD/MM/YYYY' also reads "01-04-2024" and "01.04.2024"
+ */
+const DATE_FORMATS = {
+  'DD/MM/YYYY': { pattern: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/, toISO: numericDate },
+  'DD-MM-YYYY': { pattern: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/, toISO: numericDate },
+  'DD/MM/YY': { pattern: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2})$/, toISO: numericDate },
+  'DD MMM YYYY': { pattern: /^(\d{1,2})\s+(\w{3})\s+(\d{4})$/, toISO: monthNameDate },
+  'DD MMM YY': { pattern: /^(\d{1,2})\s+(\w{3})\s+(\d{2})$/, toISO: monthNameDate },
+  'DD-MMM-YYYY': { pattern: /^(\d{1,2})[/-](\w{3})[/-](\d{4})$/, toISO: monthNameDate },
+  'DD-MMM-YY': { pattern: /^(\d{1,2})[/-](\w{3})[/-](\d{2})$/, toISO: monthNameDate },
+  'YYYY-MM-DD': { pattern: /^(\d{4})-(\d{2})-(\d{2})$/, toISO: ([date]) => date }
+};
+
+const DEFAULT_DATE_FORMATS = ['DD/MM/YYYY', 'DD/MM/YY', 'DD MMM YYYY', 'DD MMM YY', 'DD-MMM-YYYY', 'DD-MMM-YY', 'YYYY-MM-DD'];
+
 /**
  * Parse date string to ISO format (YYYY-MM-DD)
+ * Tries the given formats in order (a bank format's dateFormats)
  */
-function parseDate(dateStr) {
+export function parseDate(dateStr, formats = DEFAULT_DATE_FORMATS) {
   if (!dateStr) return null;
   
   // Clean the date string - remove quotes and trim
   let cleaned = dateStr.trim().replace(/^["']|["']$/g, '').trim();
   if (!cleaned) return null;
 
-  const months = {
-    'jan': '01', 'feb': '02', 'mar': '03', 'apr': '04',
-    'may': '05', 'jun': '06', 'jul': '07', 'aug': '08',
-    'sep': '09', 'oct': '10', 'nov': '11', 'dec': '12'
-  };
-
-  // Try DD/MM/YYYY or DD-MM-YYYY or DD.MM.YYYY
-  let match = cleaned.match(/^(\d{1,2})[\/\-\.](\d{1,2})[\/\-\.](\d{4})$/);
-  if (match) {
-    const [, day, month, year] = match;
-    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-  }
-
-  // Try DD/MM/YY or DD-MM-YY
-  match = cleaned.match(/^(\d{1,2})[\/\-\.](\d{1,2})[\/\-\.](\d{2})$/);
-  if (match) {
-    const [, day, month, year] = match;
-    const fullYear = parseInt(year) > 50 ? `19${year}` : `20${year}`;
-    return `${fullYear}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-  }
-
-  // Try DD MMM YYYY (e.g., "01 Jan 2024")
-  match = cleaned.match(/^(\d{1,2})\s+(\w{3})\s+(\d{4})$/);
-  if (match) {
-    const [, day, monthStr, year] = match;
-    const month = months[monthStr.toLowerCase()];
-    if (month) {
-      return `${year}-${month}-${day.padStart(2, '0')}`;
+  for (const name of formats) {
+    const dateFormat = DATE_FORMATS[name];
+    const match = dateFormat && cleaned.match(dateFormat.pattern);
+    const iso = match && dateFormat.toISO(match);
+    if (iso) {
+      return iso;
     }
   }
 
-  // Try DD-MMM-YYYY or DD/MMM/YYYY (e.g., "01-Jan-2024")
-  match = cleaned.match(/^(\d{1,2})[\/\-](\w{3})[\/\-](\d{4})$/);
-  if (match) {
-    const [, day, monthStr, year] = match;
-    const month = months[monthStr.toLowerCase()];
-    if (month) {
-      return `${year}-${month}-${day.padStart(2, '0')}`;
-    }
-  }
-
-  // Try DD-MMM-YY or DD/MMM/YY (e.g., "01-Jan-24")
-  match = cleaned.match(/^(\d{1,2})[\/\-](\w{3})[\/\-](\d{2})$/);
-  if (match) {
-    const [, day, monthStr, year] = match;
-    const month = months[monthStr.toLowerCase()];
-    if (month) {
-      const fullYear = parseInt(year) > 50 ? `19${year}` : `20${year}`;
-      return `${fullYear}-${month}-${day.padStart(2, '0')}`;
-    }
-  }
-
-  // Try YYYY-MM-DD (already ISO format)
-  match = cleaned.match(/^(\d{4})-(\d{2})-(\d{2})$/);
-  if (match) {
-    return cleaned;
-  }
-
-  console.warn('Unable to parse date:', dateStr);
   return null; // Return null if parsing fails instead of original string
 }
-
-/**
- * Generate unique ID
- */
-function generateId() {
-  return `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-}
-
-/**
- * Read file as text
- */
-export function readFileAsText(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = (e) => resolve(e.target.result);
-    reader.onerror = (e) => reject(new Error('Failed to read file'));
-    reader.readAsText(file);
-  });
-}
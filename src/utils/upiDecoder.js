@@ -0,0 +1,67 @@
+/**
+ * Decode SBI UPI narrations into structured fields
+ *
+ * SBI writes UPI transfers as
+ *   TO TRANSFER-UPI/DR/409112345678/JOHN DOE/SBIN/john@okaxis/Payment
+ *   BY TRANSFER-UPI/CR/412345678901/ACME LTD/HDFC/acme@hdfcbank/UPI
+ *   UPI/DR/409112345678/SWIGGY/YESB/swiggy@yesbank/UPI
+ * i.e. direction, UPI reference, payee name, payee bank (IFSC prefix), VPA and a note.
+ * Trailing parts are often truncated, so only the direction and reference are required.
+ */
+
+const UPI_PATTERN = /UPI\/(DR|CR)\/(\d{6,})\/?(.*)$/i;
+const BANK_CODE_PATTERN = /^[A-Z]{4}$/;
+
+/**
+ * Decode a UPI narration, or return null when the narration is not a UPI transfer
+ * Returns { direction: 'debit' | 'credit', ref, payee, bank, vpa, note }
+ */
+export function decodeUpiNarration(narration) {
+  if (!narration) return null;
+
+  const match = narration.replace(/\s+/g, ' ').match(UPI_PATTERN);
+  if (!match) return null;
+
+  const [payee = '', ...rest] = match[3].split('/').map(part => part.trim());
+  const upi = {
+    direction: match[1].toUpperCase() === 'DR' ? 'debit' : 'credit',
+    ref: match[2],
+    payee,
+    bank: '',
+    vpa: '',
+    note: ''
+  };
+
+  const notes = [];
+  rest.forEach(part => {
+    if (!part) return;
+    if (!upi.vpa && part.includes('@')) {
+      upi.vpa = part;
+    } else if (!upi.bank && !upi.vpa && BANK_CODE_PATTERN.test(part)) {
+      upi.bank = part;
+    } else {
+      notes.push(part);
+    }
+  });
+  // "UPI" as the note is just the channel name repeated
+  upi.note = notes.filter(note => note.toUpperCase() !== 'UPI').join(' / ');
+
+  return upi;
+}
+
+/**
+ * Get the UPI fields of a transaction (decoded on the fly for transactions
+ * stored or backed up before imports decoded them)
+ */
+export function getTransactionUpi(transaction) {
+  if (transaction.upi !== undefined) return transaction.upi;
+  return decodeUpiNarration(transaction.rawDescription || transaction.description);
+}
+
+/**
+ * Text of the decoded UPI fields, for search
+ */
+export function getUpiSearchText(upi) {
+  if (!upi) return '';
+  return [upi.payee, upi.vpa, upi.bank, upi.ref, upi.note].filter(Boolean).join(' ');
+}
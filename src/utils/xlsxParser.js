@@ -0,0 +1,85 @@
+import { read, utils, SSF } from 'xlsx';
+import { parseRows } from './tsvParser.js';
+
+/**
+ * Parse an SBI statement downloaded as Excel (.xls or .xlsx)
+ * Only the first sheet is read; its cells are turned into the same
+ * row model parseTSV uses, so header detection and normalization are shared
+ * Options are passed on to parseRows (format, mapping)
+ */
+export function parseSpreadsheet(data, options = {}) {
+  const rows = readSpreadsheetRows(data);
+  return parseRows(rows, options);
+}
+
+/**
+ * Read the first sheet of a workbook as rows of cell text
+ */
+export function readSpreadsheetRows(data) {
+  const workbook = read(data, { type: 'array', cellNF: true });
+  const sheetName = workbook.SheetNames[0];
+
+  if (!sheetName) {
+    throw new Error('Invalid spreadsheet: No sheets found');
+  }
+
+  const rows = sheetToRows(workbook.Sheets[sheetName]);
+
+  if (rows.length < 2) {
+    throw new Error('Invalid spreadsheet: No data rows found');
+  }
+
+  return rows;
+}
+
+/**
+ * Convert a worksheet into an array of rows of cell text
+ * Blank rows are dropped, like empty lines in a TSV file
+ */
+function sheetToRows(sheet) {
+  if (!sheet || !sheet['!ref']) return [];
+
+  const range = utils.decode_range(sheet['!ref']);
+  const rows = [];
+
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const row = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      row.push(cellToText(sheet[utils.encode_cell({ r, c })]));
+    }
+
+    if (row.some(v => v)) {
+      rows.push(row);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Get the text of a cell the way it would appear in a tab-delimited export
+ * Date cells are written as DD/MM/YYYY so parseDate reads them unambiguously
+ */
+function cellToText(cell) {
+  if (!cell || cell.v === undefined || cell.v === null) return '';
+
+  if (cell.t === 'd' && cell.v instanceof Date) {
+    return formatDate(cell.v.getFullYear(), cell.v.getMonth() + 1, cell.v.getDate());
+  }
+
+  if (cell.t === 'n') {
+    if (cell.z && SSF.is_date(cell.z)) {
+      const parsed = SSF.parse_date_code(cell.v);
+      if (parsed) {
+        return formatDate(parsed.y, parsed.m, parsed.d);
+      }
+    }
+    return String(cell.v);
+  }
+
+  return String(cell.w ?? cell.v).trim();
+}
+
+function formatDate(year, month, day) {
+  return `${String(day).padStart(2, '0')}/${String(month).padStart(2, '0')}/${year}`;
+}
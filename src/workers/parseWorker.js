@@ -0,0 +1,98 @@
+import { createTSVStreamParser, parseRows } from '../utils/tsvParser.js';
+import { readSpreadsheetRows } from '../utils/xlsxParser.js';
+import { parseOFX } from '../utils/ofxParser.js';
+import { parseQIF } from '../utils/qifParser.js';
+import { detectEncoding, DETECTION_SAMPLE_SIZE } from '../utils/textEncoding.js';
+
+/**
+ * Statement parsing off the main thread
+ *
+ * Receives { file, kind, encoding, categories } where kind is 'text',
+ * 'spreadsheet', 'ofx' or 'qif'. Text files are read in chunks through a
+ * streaming decoder; delimited statements are parsed chunk by chunk as they
+ * are read, so a multi-year statement is never held as one string. Posts
+ * { type: 'progress', phase, done, total } while working and then one of
+ *   { type: 'result', result, source }        parsed (source: { encoding, detected })
+ *   { type: 'results', results, source }      OFX/QIF: one result per statement or account
+ *   { type: 'needsMapping', content | rows }  no header row found
+ *   { type: 'error', message }
+ */
+
+const CHUNK_SIZE = 1024 * 1024;
+
+const reportProgress = (phase) => (done, total) => {
+  self.postMessage({ type: 'progress', phase, done, total });
+};
+
+/**
+ * Read a file as text chunk by chunk, detecting the encoding from its start,
+ * and hand each decoded chunk to onText
+ */
+async function readChunks(file, encoding, onProgress, onText) {
+  const head = new Uint8Array(await file.slice(0, DETECTION_SAMPLE_SIZE).arrayBuffer());
+  const chosen = encoding === 'auto' ? detectEncoding(head).encoding : encoding;
+  const decoder = new TextDecoder(chosen);
+
+  for (let offset = 0; offset < file.size; offset += CHUNK_SIZE) {
+    const chunk = await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+    // stream keeps a character split across two chunks intact
+    onText(decoder.decode(chunk, { stream: true }));
+    onProgress(Math.min(offset + CHUNK_SIZE, file.size), file.size);
+  }
+  onText(decoder.decode());
+
+  return { encoding: chosen, detected: encoding === 'auto' };
+}
+
+/**
+ * Read a whole file as one string, for formats parsed in a single pass
+ */
+async function readText(file, encoding, onProgress) {
+  const parts = [];
+  const source = await readChunks(file, encoding, onProgress, text => parts.push(text));
+  return { text: parts.join(''), ...source };
+}
+
+async function parseFile({ file, kind, encoding = 'auto', categories = [] }) {
+  const onParsing = reportProgress('parsing');
+
+  if (kind === 'spreadsheet') {
+    reportProgress('reading')(0, file.size);
+    const rows = readSpreadsheetRows(await file.arrayBuffer());
+    try {
+      return { type: 'result', result: parseRows(rows, { onProgress: onParsing }), source: null };
+    } catch (err) {
+      if (err.code === 'HEADER_NOT_FOUND') return { type: 'needsMapping', rows };
+      throw err;
+    }
+  }
+
+  if (kind === 'ofx' || kind === 'qif') {
+    const { text, ...source } = await readText(file, encoding, reportProgress('reading'));
+    onParsing(0, 1);
+    const results = kind === 'ofx' ? parseOFX(text) : parseQIF(text, { categories });
+    return { type: 'results', results, source };
+  }
+
+  // Rows are normalized while the file is read, so reading progress covers parsing
+  const parser = createTSVStreamParser();
+  const source = await readChunks(file, encoding, reportProgress('reading'), text => parser.push(text));
+  onParsing(0, 1);
+
+  try {
+    const result = parser.finish();
+    onParsing(1, 1);
+    return { type: 'result', result, source };
+  } catch (err) {
+    if (err.code === 'HEADER_NOT_FOUND') return { type: 'needsMapping', content: err.content, source };
+    throw err;
+  }
+}
+
+self.onmessage = async ({ data }) => {
+  try {
+    self.postMessage(await parseFile(data));
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message || 'Failed to parse the file' });
+  }
+};